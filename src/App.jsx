@@ -1,8 +1,59 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import axios from "axios";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
-import { Sun, Moon, Search, Filter, Calendar, Star, GitFork, Code, Users, Activity, Github, Heart, Coffee } from "lucide-react";
+import { github, apiUrl, apiProfileId, hasToken, setApiProfile, setRateLimitListener, getRateLimitMessage, describeRequestError } from "./api/client";
+import { DEMO_STORAGE_KEY, readDemoSettings } from "./api/demo";
+import { DEFAULT_PROFILE, readProfiles, readActiveProfileId, findProfile, saveProfiles } from "./api/profiles";
+import {
+  loadProfile,
+  loadActivity,
+  loadComparisonEntry,
+  hasContributionCalendar,
+  loadContributionCalendar,
+  loadRepoDetail,
+  loadLanguageBytes,
+  loadStarHistory,
+  loadPunchCards,
+  estimateStatsRequests,
+  loadIssueAnalytics,
+  loadNetwork,
+  loadStarred,
+  loadGists,
+  loadGist
+} from "./api/loaders";
+import { theme, getTooltipStyle, withLanguageColors } from "./theme";
+import { DEFAULT_TAB, DEFAULT_SORT, readUrlState, buildUrl } from "./lib/urlState";
+import { DEFAULT_FILTERS, filterRepos, sortRepos } from "./lib/repoFilters";
+import { countLanguages, summarizeLanguages } from "./lib/languages";
+import { HEALTH_STORAGE_KEY, readHealthThresholds, scoreRepoHealth } from "./lib/health";
+import { WATCHLIST_STORAGE_KEY, readWatchlist, isWatchEntry, takeWatchSnapshot, addWatchSnapshot } from "./lib/watchlist";
+import { STAR_HISTORY_DEFAULT_SELECTED, buildStarTimeline, getTopStarredRepos } from "./lib/starHistory";
+import { COMPARE_MAX_USERS, parseCompareNames } from "./lib/compare";
+import { toExportRows, toCsv, downloadFile } from "./lib/export";
+import { DEFAULT_NETWORK_OPTIONS } from "./lib/network";
+import { useResource } from "./hooks/useResource";
+import { containerVariants } from "./components/variants";
+import Header from "./components/Header";
+import WatchlistPanel from "./components/WatchlistPanel";
+import SettingsPanel from "./components/SettingsPanel";
+import SearchBar from "./components/SearchBar";
+import ProfileCard from "./components/ProfileCard";
+import TabBar from "./components/TabBar";
+import CoverageNote from "./components/CoverageNote";
+import ErrorNotice from "./components/ErrorNotice";
+import RepoDetail from "./components/RepoDetail";
+import CompareView from "./components/CompareView";
+import PrintableReport from "./components/PrintableReport";
+import Footer from "./components/Footer";
+import OverviewTab from "./components/tabs/OverviewTab";
+import RepositoriesTab from "./components/tabs/RepositoriesTab";
+import StatsTab from "./components/tabs/StatsTab";
+import IssuesTab from "./components/tabs/IssuesTab";
+import OrganizationTab from "./components/tabs/OrganizationTab";
+import NetworkTab from "./components/tabs/NetworkTab";
+import StarsTab from "./components/tabs/StarsTab";
+import GistsTab from "./components/tabs/GistsTab";
+
+const DARK_MODE_STORAGE_KEY = "github-insights-dark-mode";
 
 const App = () => {
   const [username, setUsername] = useState("");
@@ -10,784 +61,886 @@ const App = () => {
   const [repos, setRepos] = useState([]);
   const [filteredRepos, setFilteredRepos] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [reposComplete, setReposComplete] = useState(true);
   const [error, setError] = useState(null);
-  const [darkMode, setDarkMode] = useState(true);
-  const [sortOption, setSortOption] = useState("updated");
+  const [darkMode, setDarkMode] = useState(() => localStorage.getItem(DARK_MODE_STORAGE_KEY) !== "false");
+  const [sortOption, setSortOption] = useState(DEFAULT_SORT);
   const [filterText, setFilterText] = useState("");
-  const [activeTab, setActiveTab] = useState("overview");
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [activeTab, setActiveTab] = useState(DEFAULT_TAB);
   const [contributionData, setContributionData] = useState([]);
+  const [profiles, setProfiles] = useState(readProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(readActiveProfileId);
+  const [showSettings, setShowSettings] = useState(false);
+  const [demo, setDemo] = useState(readDemoSettings);
+  const [healthThresholds, setHealthThresholds] = useState(readHealthThresholds);
+  const [watchlist, setWatchlist] = useState(() => readWatchlist(DEFAULT_PROFILE.id));
+  const [showWatchlist, setShowWatchlist] = useState(false);
+  const [rateLimit, setRateLimit] = useState(null);
+  const [activityMeta, setActivityMeta] = useState({ status: "idle" });
+  const [lookupMode, setLookupMode] = useState("user");
+  const [members, setMembers] = useState([]);
+  const [view, setView] = useState("profile");
+  const [comparison, setComparison] = useState([]);
+  const [selectedRepo, setSelectedRepo] = useState(null);
+  const [lookup, setLookup] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [languageMode, setLanguageMode] = useState("count");
+  const [networkOptions, setNetworkOptions] = useState(DEFAULT_NETWORK_OPTIONS);
+  const [calendarYear, setCalendarYear] = useState("");
+  const [calendar, setCalendar] = useState({ status: "idle" });
+  const [activityEvents, setActivityEvents] = useState(null);
 
-  // Language colors
-  const languageColors = {
-    JavaScript: "#f1e05a",
-    TypeScript: "#3178c6",
-    Python: "#3572A5",
-    Java: "#b07219",
-    "C++": "#f34b7d",
-    HTML: "#e34c26",
-    CSS: "#563d7c",
-    Ruby: "#701516",
-    Go: "#00ADD8",
-    PHP: "#4F5D95",
-    C: "#555555",
-    Swift: "#ffac45",
-    Kotlin: "#A97BFF",
-    Rust: "#dea584",
-    Dart: "#00B4AB"
-  };
-
-  // Theme colors
-  const theme = {
-    dark: {
-      background: "bg-purple-950",
-      cardBg: "bg-purple-900",
-      secondaryBg: "bg-purple-800",
-      accent: "bg-purple-600",
-      accentHover: "bg-purple-500",
-      text: "text-purple-50",
-      textSecondary: "text-purple-300",
-      border: "border-purple-800",
-      chartGrid: "#4B2D83",
-      chartLine: "#A78BFA"
-    },
-    light: {
-      background: "bg-purple-50",
-      cardBg: "bg-white",
-      secondaryBg: "bg-purple-100",
-      accent: "bg-purple-500",
-      accentHover: "bg-purple-400",
-      text: "text-purple-900",
-      textSecondary: "text-purple-700",
-      border: "border-purple-200",
-      chartGrid: "#E9D5FF",
-      chartLine: "#8B5CF6"
-    }
-  };
+  const activeProfile = findProfile(profiles, activeProfileId);
+  // Aborted when a newer lookup starts, so a slow response can't overwrite a newer one
+  const lookupControllerRef = useRef(null);
 
   // Apply theme
   useEffect(() => {
     document.documentElement.classList.toggle("dark", darkMode);
+    localStorage.setItem(DARK_MODE_STORAGE_KEY, String(darkMode));
   }, [darkMode]);
 
+  useEffect(() => {
+    localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify(healthThresholds));
+  }, [healthThresholds]);
+
+  useEffect(() => {
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+  }, [watchlist]);
+
+  // Declared before the profile effect so the quota below is fetched with the new demo settings
+  useEffect(() => {
+    localStorage.setItem(DEMO_STORAGE_KEY, JSON.stringify(demo));
+  }, [demo]);
+
+  // Keep the header quota in sync with every API response
+  useEffect(() => {
+    setRateLimitListener(setRateLimit);
+    return () => setRateLimitListener(null);
+  }, []);
+
+  // Persist the profiles, send requests to the active one and refresh its quota;
+  // /rate_limit does not count against it
+  useEffect(() => {
+    saveProfiles(profiles, activeProfile.id);
+    setApiProfile(activeProfile);
+    github.get(apiUrl("/rate_limit"), { cache: false }).catch(error => {
+      console.error("Error fetching rate limit:", error);
+    });
+  }, [profiles, activeProfile, demo]);
+
   // Filter and sort repos when dependencies change
   useEffect(() => {
     if (repos.length > 0) {
-      let filtered = [...repos];
-      
-      // Apply text filter
-      if (filterText) {
-        filtered = filtered.filter(repo => 
-          repo.name.toLowerCase().includes(filterText.toLowerCase()) || 
-          (repo.description && repo.description.toLowerCase().includes(filterText.toLowerCase()))
-        );
-      }
-      
-      // Apply sorting
-      filtered.sort((a, b) => {
-        switch (sortOption) {
-          case "stars":
-            return b.stargazers_count - a.stargazers_count;
-          case "forks":
-            return b.forks_count - a.forks_count;
-          case "name":
-            return a.name.localeCompare(b.name);
-          case "updated":
-          default:
-            return new Date(b.updated_at) - new Date(a.updated_at);
-        }
-      });
-      
-      setFilteredRepos(filtered);
+      setFilteredRepos(sortRepos(filterRepos(repos, filterText, filters), sortOption));
     }
-  }, [repos, filterText, sortOption]);
+  }, [repos, filterText, filters, sortOption]);
 
-  // Generate mock contribution data when user data loads
+  // Build the activity chart from the public events feed and per-repo commit stats
   useEffect(() => {
-    if (userData) {
-      // Generate a mock contribution chart based on user data
-      const startDate = new Date();
-      startDate.setMonth(startDate.getMonth() - 6);
-      
-      const data = [];
-      for (let i = 0; i < 26; i++) {
-        const date = new Date(startDate);
-        date.setDate(date.getDate() + (i * 7)); // Weekly data points
-        
-        // Create somewhat realistic contribution pattern based on repo count
-        const baseContributions = Math.floor(userData.public_repos / 5) || 1;
-        const randomFactor = Math.random() * baseContributions * 2;
-        const contributions = Math.max(0, Math.floor(baseContributions + randomFactor));
-        
-        data.push({
-          date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-          contributions
-        });
-      }
-      
+    if (!userData) return;
+
+    let cancelled = false;
+    setContributionData([]);
+    setActivityMeta({ status: "loading" });
+
+    loadActivity(userData, repos).then(({ data, events, meta }) => {
+      if (cancelled) return;
       setContributionData(data);
+      setActivityMeta(meta);
+      setActivityEvents({ profile: userData, events });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userData, repos]);
+
+  // Daily contributions for the calendar heatmap; the profile's token decides which source is used.
+  // The events source counts the public events the activity chart loads, so it waits for them
+  // (undefined) instead of fetching the same pages again.
+  const calendarEvents = !userData || hasContributionCalendar(userData)
+    ? null
+    : activityEvents?.profile === userData ? activityEvents.events : undefined;
+  useEffect(() => {
+    if (!userData) return;
+
+    let cancelled = false;
+    setCalendar({ status: "loading" });
+    if (calendarEvents === undefined) return;
+
+    loadContributionCalendar(userData, calendarYear ? Number(calendarYear) : null, calendarEvents)
+      .then(result => {
+        if (!cancelled) setCalendar({ status: "ready", ...result });
+      })
+      .catch(error => {
+        console.error("Error fetching contribution calendar:", error);
+        if (!cancelled) {
+          setCalendar({
+            status: "error",
+            error: getRateLimitMessage(error) || "Contribution data could not be loaded."
+          });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userData, calendarYear, activeProfile, calendarEvents]);
+
+  const startLookupRequest = () => {
+    lookupControllerRef.current?.abort();
+    const controller = new AbortController();
+    lookupControllerRef.current = controller;
+    return controller;
+  };
+
+  // Load several profiles side by side; names that fail are reported but don't block the rest
+  const fetchComparison = async (input, { push }) => {
+    const names = parseCompareNames(input);
+    if (names.length < 2) {
+      setError({ kind: "input", message: "Enter at least two usernames separated by commas to compare." });
+      return;
+    }
+    if (names.length > COMPARE_MAX_USERS) {
+      setError({ kind: "input", message: `You can compare up to ${COMPARE_MAX_USERS} users at a time.` });
+      return;
     }
-  }, [userData]);
 
-  const fetchGitHubData = async () => {
-    if (!username) return;
-    
+    const controller = startLookupRequest();
     setLoading(true);
     setError(null);
-    
+    setLoadProgress(null);
+
+    const results = await Promise.allSettled(names.map(name => loadComparisonEntry(name, { signal: controller.signal })));
+    if (controller.signal.aborted) return;
+
+    const loaded = results.filter(result => result.status === "fulfilled").map(result => result.value);
+    const failed = results
+      .map((result, i) => result.status === "rejected"
+        ? { name: names[i], error: result.reason, ...describeRequestError(result.reason, "User") }
+        : null)
+      .filter(Boolean);
+
+    failed.forEach(({ error }) => console.error("Error fetching comparison data:", error));
+
+    if (failed.length > 0) {
+      const retry = { name: input, mode: "compare", push };
+      // Rate limits and lost connections affect every name, so they're reported once
+      const shared = failed.find(({ kind }) => kind === "rate-limit" || kind === "offline");
+      setError(shared ? { kind: shared.kind, message: shared.message, retry } : {
+        kind: failed.every(({ kind }) => kind === "not-found") ? "not-found" : "unknown",
+        message: `Could not load: ${failed.map(({ name, kind }) => kind === "not-found" ? `${name} (not found)` : name).join(", ")}`,
+        retry
+      });
+    }
+
+    setComparison(loaded);
+    if (loaded.length > 0) {
+      const nextLookup = { mode: "compare", name: loaded.map(entry => entry.profile.login).join(",") };
+      if (push) window.history.pushState(null, "", buildUrl(nextLookup));
+      setLookup(nextLookup);
+      setView("compare");
+    }
+    setLoading(false);
+  };
+
+  // Byte counts need one request per repository, so they load only once asked for, and are
+  // kept until a repository is added, removed or pushed to. Without a token the cost is
+  // confirmed first, as it can use up the hourly quota.
+  const languageBytesKey = repos.length > 0
+    ? [activeProfile.id, ...repos.map(repo => `${repo.full_name}@${repo.pushed_at}`)].join(" ")
+    : null;
+  const [languageBytesApproved, setLanguageBytesApproved] = useState(null);
+  const languageBytesNeedApproval = !hasToken() && !demo.enabled && languageBytesApproved !== languageBytesKey;
+  const languageBytesState = useResource(languageBytesKey, async ({ signal, onProgress }) => {
+    onProgress({ loaded: 0, total: repos.length });
+    const { totals, failed } = await loadLanguageBytes(repos, { signal, onProgress: loaded => onProgress({ loaded }) });
+    return { totals, failed, total: repos.length };
+  }, {
+    enabled: languageMode === "bytes" && !languageBytesNeedApproval,
+    label: "language bytes",
+    describeError: error => getRateLimitMessage(error) || "Could not count language bytes. Please try again later."
+  });
+  const languageBytes = languageMode === "bytes" && languageBytesNeedApproval && languageBytesState.status === "idle"
+    ? { status: "confirm", total: repos.length }
+    : languageBytesState;
+
+  // Stargazer history and punch cards load the first time the Stats tab is opened for a set
+  // of repositories and are kept for later visits. Without a token they cost a good part of
+  // the hourly quota, so they wait until the user accepts that for the account.
+  const statsAccount = repos.length > 0 ? `${activeProfile.id} ${repos[0].owner.login}` : null;
+  const [statsApproved, setStatsApproved] = useState(null);
+  const statsNeedApproval = !hasToken() && !demo.enabled && statsApproved !== statsAccount;
+  const statsEnabled = activeTab === "stats" && !statsNeedApproval;
+  const statsConfirm = (state) => activeTab === "stats" && statsNeedApproval && state.status === "idle"
+    ? { status: "confirm" }
+    : state;
+
+  const topStarredRepos = getTopStarredRepos(repos);
+  const starHistoryKey = statsAccount && [
+    statsAccount,
+    ...topStarredRepos.map(repo => `${repo.full_name}:${repo.stargazers_count}`)
+  ].join(" ");
+  const starHistoryState = useResource(starHistoryKey, async () => {
+    const results = await Promise.allSettled(topStarredRepos.map(loadStarHistory));
+    results
+      .filter(result => result.status === "rejected")
+      .forEach(result => console.error("Error fetching stargazers:", result.reason));
+    return {
+      histories: results.filter(result => result.status === "fulfilled").map(result => result.value),
+      failed: results.filter(result => result.status === "rejected").length,
+      error: results.map(result => result.reason && getRateLimitMessage(result.reason)).find(Boolean)
+    };
+  }, { enabled: statsEnabled, label: "stargazers" });
+  const starHistory = { histories: [], ...statsConfirm(starHistoryState) };
+
+  // The picked repositories survive revalidation and tab switches, but not a new account
+  const [pickedStarRepos, setPickedStarRepos] = useState(null);
+  const starSelection = pickedStarRepos?.account === statsAccount
+    ? pickedStarRepos.names
+    : topStarredRepos.slice(0, STAR_HISTORY_DEFAULT_SELECTED).map(repo => repo.name);
+
+  const punchCardKey = statsAccount && [
+    statsAccount,
+    ...repos.map(repo => `${repo.full_name}@${repo.pushed_at}`)
+  ].join(" ");
+  const punchCardState = useResource(punchCardKey, async () => {
+    const { cards, pendingRepos, failedRepos, failures } = await loadPunchCards(repos);
+    failures.forEach(error => console.error("Error fetching punch card:", error));
+    return { cards, pendingRepos, failedRepos, error: failures.map(getRateLimitMessage).find(Boolean) };
+  }, { enabled: statsEnabled, label: "punch cards" });
+  const punchCard = { cards: [], ...statsConfirm(punchCardState) };
+
+  // The Issues & PRs, Network, Stars and Gists tabs load the first time they are opened for
+  // an account and keep their data for later visits, like the Stats tab above
+  const tabAccount = userData && userData.type !== "Organization" ? `${activeProfile.id} ${userData.login}` : null;
+
+  // Search API analytics
+  const issueAnalytics = useResource(tabAccount, () => loadIssueAnalytics(userData.login), {
+    enabled: activeTab === "issues",
+    label: "issue analytics",
+    describeError: error => getRateLimitMessage(error)
+      || (error.response?.status === 422
+        ? "GitHub's search API could not search this user's activity."
+        : "Could not load issue and pull request data. Please try again later.")
+  });
+
+  // Followers, following and co-contributors
+  const networkKey = tabAccount && [
+    tabAccount,
+    JSON.stringify(networkOptions),
+    ...repos.map(repo => `${repo.full_name}@${repo.pushed_at}`)
+  ].join(" ");
+  const network = useResource(networkKey, async () => {
+    const graph = await loadNetwork(userData, repos, networkOptions);
+    graph.failures.forEach(failure => console.error("Error fetching network data:", failure));
+    return { ...graph, error: graph.failures.map(getRateLimitMessage).find(Boolean) };
+  }, {
+    enabled: activeTab === "network",
+    label: "network data",
+    describeError: error => getRateLimitMessage(error) || "Could not load this user's network. Please try again later."
+  });
+
+  // Starred repositories
+  const starred = useResource(tabAccount, ({ onProgress }) => loadStarred(userData.login, onProgress), {
+    enabled: activeTab === "stars",
+    label: "starred repositories",
+    describeError: error => getRateLimitMessage(error) || "Could not load starred repositories. Please try again later."
+  });
+
+  // Gists; file contents load per gist from the tab
+  const gists = useResource(tabAccount, ({ onProgress }) => loadGists(userData.login, onProgress), {
+    enabled: activeTab === "gists",
+    label: "gists",
+    describeError: error => getRateLimitMessage(error) || "Could not load gists. Please try again later."
+  });
+
+  // The drill-down data for the open repository; retrying opens a copy of it
+  const repoDetail = useResource(selectedRepo, () => loadRepoDetail(selectedRepo), {
+    label: "repository details",
+    describeError: error => getRateLimitMessage(error)
+      || (error.response?.status === 404
+        ? "This repository no longer exists or is private."
+        : "Could not load repository details. Please try again later.")
+  });
+
+  // Lookups started from the search bar get a history entry; ones restored from the URL don't.
+  // A cached copy is shown right away and revalidated in the background.
+  const fetchGitHubData = async (name = username, mode = lookupMode, { push = true, repoName = null, refresh = false } = {}) => {
+    name = name.trim();
+    if (!name) return;
+    if (mode === "compare") return fetchComparison(name, { push });
+
+    const isOrg = mode === "org";
+    const basePath = apiUrl(`/${isOrg ? "orgs" : "users"}/${name}`);
+    // Read from the client, which a profile switch updates before this state re-renders
+    const profileId = apiProfileId();
+    const controller = startLookupRequest();
+    const { signal } = controller;
+
+    const showProfile = (result) => {
+      setUserData(result.profile);
+      setRepos(result.repos);
+      setFilteredRepos(result.repos);
+      setReposComplete(result.complete);
+      setMembers(result.members);
+      setLastUpdated(new Date(result.fetchedAt));
+    };
+
+    const openLookup = (result) => {
+      setSelectedRepo((repoName && result.repos.find(repo => repo.name === repoName)) || null);
+      setView("profile");
+
+      const nextLookup = { mode, name: result.profile.login };
+      if (nextLookup.name !== lookup?.name) setCalendarYear("");
+      if (push) window.history.pushState(null, "", buildUrl(nextLookup));
+      setLookup(nextLookup);
+      if ((!isOrg && activeTab === "organization") || (isOrg && ["issues", "network", "stars", "gists"].includes(activeTab))) setActiveTab("overview");
+    };
+
+    setError(null);
+    setLoadProgress(null);
+    if (refresh) {
+      setRefreshing(true);
+    } else {
+      setLoading(true);
+    }
+
+    // Demo lookups skip the response cache, which only holds real GitHub data
+    let shown = refresh;
+    if (!refresh && !demo.enabled) {
+      try {
+        const cached = await loadProfile(basePath, isOrg, { fromCache: true });
+        if (signal.aborted) return;
+        showProfile(cached);
+        openLookup(cached);
+        shown = true;
+        setLoading(false);
+        setRefreshing(true);
+      } catch {
+        // Nothing cached yet; wait for the network
+      }
+    }
+
     try {
-      const userRes = await axios.get(`https://api.github.com/users/${username}`);
-      const reposRes = await axios.get(`https://api.github.com/users/${username}/repos?per_page=100&sort=updated`);
-      
-      setUserData(userRes.data);
-      setRepos(reposRes.data);
-      setFilteredRepos(reposRes.data);
+      const result = await loadProfile(basePath, isOrg, { signal, onProgress: shown ? undefined : setLoadProgress });
+      if (signal.aborted) return;
+      // Partial repository lists would undercount stars, and demo data isn't real history
+      if (result.complete && !demo.enabled) setWatchlist(list => addWatchSnapshot(list, profileId, result.profile, result.repos));
+
+      if (!shown) {
+        showProfile(result);
+        openLookup(result);
+      } else if (result.notModified) {
+        setMembers(result.members);
+        setLastUpdated(new Date(result.fetchedAt));
+      } else {
+        showProfile(result);
+      }
     } catch (error) {
+      // A newer lookup replaced this one and now owns the loading state
+      if (signal.aborted) return;
       console.error("Error fetching data:", error);
-      setError(error.response?.status === 404 
-        ? "User not found. Please check the username and try again." 
-        : "An error occurred while fetching data. Please try again later.");
-    } finally {
-      setLoading(false);
+      const { kind, message } = describeRequestError(error, isOrg ? "Organization" : "User");
+      setError({
+        kind,
+        message: shown ? `Could not refresh, showing cached data. ${message}` : message,
+        retry: { name, mode, push, repoName }
+      });
     }
+    setLoading(false);
+    setRefreshing(false);
+    setLoadProgress(null);
   };
 
-  // Get language distribution for pie chart
-  const getLanguageStats = () => {
-    const languages = {};
-    repos.forEach(repo => {
-      if (repo.language) {
-        languages[repo.language] = (languages[repo.language] || 0) + 1;
-      }
-    });
-    
-    return Object.entries(languages)
-      .map(([name, count]) => ({
-        name,
-        value: count,
-        color: languageColors[name] || "#" + Math.floor(Math.random()*16777215).toString(16)
-      }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 5);
+  const retryLookup = () => {
+    const { name, mode, push, repoName } = error.retry;
+    fetchGitHubData(name, mode, { push, repoName });
   };
 
-  const containerVariants = {
-    hidden: { opacity: 0 },
-    visible: { 
-      opacity: 1,
-      transition: { 
-        when: "beforeChildren",
-        staggerChildren: 0.1
-      }
+  // A lookup that failed because the browser went offline runs again once it's back
+  const retryLookupRef = useRef(retryLookup);
+  retryLookupRef.current = retryLookup;
+
+  useEffect(() => {
+    if (error?.kind !== "offline" || !error.retry) return;
+    const handleOnline = () => retryLookupRef.current();
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [error]);
+
+  const isWatched = (login) => watchlist.some(entry => isWatchEntry(entry, activeProfile.id, login));
+
+  const toggleWatch = () => {
+    if (isWatched(userData.login)) {
+      setWatchlist(list => list.filter(entry => !isWatchEntry(entry, activeProfile.id, userData.login)));
+      return;
     }
+    setWatchlist(list => [...list, {
+      profileId: activeProfile.id,
+      login: userData.login,
+      mode: userData.type === "Organization" ? "org" : "user",
+      avatarUrl: userData.avatar_url,
+      snapshots: reposComplete ? [takeWatchSnapshot(userData, repos)] : []
+    }]);
   };
 
-  const itemVariants = {
-    hidden: { y: 20, opacity: 0 },
-    visible: {
-      y: 0,
-      opacity: 1,
-      transition: { type: "spring", stiffness: 100 }
+  // Entries open on the host they were watched on
+  const openWatched = (entry) => {
+    const profile = profiles.find(item => item.id === entry.profileId);
+    if (!profile) return;
+    setShowWatchlist(false);
+    setLookupMode(entry.mode);
+    setUsername(entry.login);
+    if (profile.id !== activeProfile.id) {
+      switchProfile(profile, { mode: entry.mode, name: entry.login });
+    } else {
+      fetchGitHubData(entry.login, entry.mode);
     }
   };
 
-  const fadeVariants = {
-    hidden: { opacity: 0 },
-    visible: { opacity: 1, transition: { duration: 0.5 } }
+  // People in the network graph are looked up like a search, staying on the Network tab
+  const openUser = (login) => {
+    setLookupMode("user");
+    setUsername(login);
+    fetchGitHubData(login, "user");
+  };
+
+  // Accounts differ between hosts, so the current lookup (or nextLookup) is repeated against
+  // the new profile. The client is switched right away so that lookup already goes to the new host.
+  const switchProfile = (profile, nextLookup = null) => {
+    setApiProfile(profile);
+    setActiveProfileId(profile.id);
+    setRateLimit(null);
+    setUserData(null);
+    setRepos([]);
+    setComparison([]);
+    setSelectedRepo(null);
+    if (nextLookup) fetchGitHubData(nextLookup.name, nextLookup.mode);
+    else if (lookup) fetchGitHubData(lookup.name, lookup.mode, { push: false, repoName: selectedRepo?.name });
+  };
+
+  const addProfile = (profile) => {
+    setProfiles(list => [...list, profile]);
+    switchProfile(profile);
+  };
+
+  const saveProfile = (profile) => {
+    setProfiles(list => list.map(entry => entry.id === profile.id ? profile : entry));
+    if (profile.apiUrl !== activeProfile.apiUrl) switchProfile(profile);
+  };
+
+  const removeProfile = (id) => {
+    const remaining = profiles.filter(profile => profile.id !== id);
+    setProfiles(remaining);
+    if (id === activeProfile.id) switchProfile(remaining[0]);
+  };
+
+  // Restore the dashboard from the URL on load and on back/forward
+  const applyUrlState = () => {
+    const state = readUrlState();
+    setActiveTab(state.tab);
+    setSortOption(state.sort);
+    setFilterText(state.filter);
+    setFilters(state.filters);
+
+    if (!state.name) {
+      setLookup(null);
+      setUserData(null);
+      setComparison([]);
+      setSelectedRepo(null);
+      setView("profile");
+      return;
+    }
+
+    setLookupMode(state.mode);
+    setUsername(state.name);
+
+    if (lookup && lookup.mode === state.mode && lookup.name.toLowerCase() === state.name.toLowerCase()) {
+      setSelectedRepo((state.repo && repos.find(repo => repo.name === state.repo)) || null);
+      setView(state.mode === "compare" ? "compare" : "profile");
+      return;
+    }
+
+    fetchGitHubData(state.name, state.mode, { push: false, repoName: state.repo });
+  };
+
+  const applyUrlStateRef = useRef(applyUrlState);
+  applyUrlStateRef.current = applyUrlState;
+
+  useEffect(() => {
+    const handlePopState = () => applyUrlStateRef.current();
+    applyUrlStateRef.current();
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Tab, sort and filter changes rewrite the current entry rather than adding one
+  useEffect(() => {
+    if (!lookup || loading) return;
+    const url = buildUrl({
+      ...lookup,
+      tab: activeTab,
+      sort: sortOption,
+      filter: filterText,
+      filters,
+      repo: selectedRepo?.name
+    });
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(null, "", url);
+    }
+  }, [lookup, loading, activeTab, sortOption, filterText, filters, selectedRepo]);
+
+  const openRepo = (repo) => {
+    window.history.pushState(null, "", buildUrl({
+      ...lookup,
+      tab: activeTab,
+      sort: sortOption,
+      filter: filterText,
+      filters,
+      repo: repo.name
+    }));
+    setSelectedRepo(repo);
+  };
+
+  const closeRepo = () => {
+    window.history.pushState(null, "", buildUrl({ ...lookup, tab: activeTab, sort: sortOption, filter: filterText, filters }));
+    setSelectedRepo(null);
   };
 
   const currentTheme = darkMode ? theme.dark : theme.light;
+  const tooltipStyle = getTooltipStyle(darkMode);
+  const isOrg = userData?.type === "Organization";
+
+  const tabs = [
+    { key: "overview", label: "Overview" },
+    { key: "repositories", label: "Repositories" },
+    { key: "stats", label: "Statistics" },
+    ...(isOrg
+      ? [{ key: "organization", label: "Organization" }]
+      : [
+        { key: "issues", label: "Issues & PRs" },
+        { key: "network", label: "Network" },
+        { key: "stars", label: "Stars" },
+        { key: "gists", label: "Gists" }
+      ])
+  ];
+
+  // Top Languages in the selected mode, shared by the Stats tab and the printable report
+  const languageStats = languageMode === "bytes"
+    ? (languageBytes.status === "ready" ? withLanguageColors(summarizeLanguages(languageBytes.totals)) : [])
+    : withLanguageColors(summarizeLanguages(countLanguages(repos)));
+
+  const repoHealth = new Map(repos.map(repo => [repo.id, scoreRepoHealth(repo, healthThresholds)]));
+
+  const starTimelineData = buildStarTimeline(starHistory.histories);
+  // The total only covers the whole account when every starred repo was loaded
+  const starTotalLabel = repos.filter(repo => repo.stargazers_count > 0).length > starHistory.histories.length
+    ? `Top ${starHistory.histories.length} total`
+    : "Account total";
+  const toggleStarRepo = (name) => setPickedStarRepos({
+    account: statsAccount,
+    names: starSelection.includes(name) ? starSelection.filter(selected => selected !== name) : [...starSelection, name]
+  });
+
+  const exportRepos = (format) => {
+    const filename = `${userData.login}-repositories.${format}`;
+    if (format === "csv") {
+      downloadFile(filename, toCsv(filteredRepos), "text/csv;charset=utf-8");
+    } else {
+      downloadFile(filename, JSON.stringify(toExportRows(filteredRepos), null, 2), "application/json");
+    }
+  };
+
+  const coverageNote = userData && (
+    <CoverageNote loaded={repos.length} total={userData.public_repos} complete={reposComplete} darkMode={darkMode} />
+  );
 
   return (
     <div className={`flex flex-col min-h-screen transition-colors duration-300 ${currentTheme.background} ${currentTheme.text}`}>
-      {/* Header */}
-      <motion.div 
-        className={`px-6 py-4 ${currentTheme.cardBg} shadow-lg flex justify-between items-center`}
-        initial={{ y: -50 }}
-        animate={{ y: 0 }}
-        transition={{ type: "spring", stiffness: 100 }}
-      >
-        <motion.h1 
-          className="text-2xl font-bold flex items-center"
-          whileHover={{ scale: 1.05 }}
-        >
-          <Github className="mr-2" /> GitHub Insights Dashboard
-        </motion.h1>
-        <motion.button 
-          onClick={() => setDarkMode(!darkMode)} 
-          className={`p-2 rounded-full ${currentTheme.secondaryBg} hover:${currentTheme.accent} transition-colors`}
-          whileHover={{ scale: 1.1 }}
-          whileTap={{ scale: 0.9 }}
-        >
-          {darkMode ? <Sun size={20} /> : <Moon size={20} />}
-        </motion.button>
-      </motion.div>
-
-      {/* Search Bar */}
-      <div className={`p-8 ${currentTheme.cardBg} mb-6 shadow-lg`}>
-        <motion.div 
-          className="max-w-2xl mx-auto"
-          initial={{ scale: 0.9, opacity: 0 }}
-          animate={{ scale: 1, opacity: 1 }}
-          transition={{ duration: 0.3 }}
-        >
-          <div className="flex gap-2">
-            <div className={`flex-1 flex items-center px-3 rounded-lg border ${currentTheme.border} ${currentTheme.secondaryBg}`}>
-              <Search size={20} className={`${currentTheme.textSecondary} mr-2`} />
-              <input
-                type="text"
-                className={`w-full p-3 outline-none ${currentTheme.secondaryBg} ${currentTheme.text}`}
-                placeholder="Enter GitHub username"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && fetchGitHubData()}
-              />
-            </div>
-            <motion.button
-              onClick={fetchGitHubData}
-              className={`px-6 py-3 rounded-lg font-medium ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-            >
-              Fetch Profile
-            </motion.button>
-          </div>
-        </motion.div>
-      </div>
+      <Header
+        currentTheme={currentTheme}
+        darkMode={darkMode}
+        rateLimit={rateLimit}
+        demoMode={demo.enabled}
+        profiles={profiles}
+        activeProfileId={activeProfile.id}
+        onProfileChange={(id) => switchProfile(findProfile(profiles, id))}
+        onToggleWatchlist={() => setShowWatchlist(!showWatchlist)}
+        onToggleSettings={() => setShowSettings(!showSettings)}
+        onToggleDarkMode={() => setDarkMode(!darkMode)}
+      />
+
+      <AnimatePresence>
+        {showWatchlist && (
+          <WatchlistPanel
+            watchlist={watchlist}
+            profiles={profiles}
+            currentTheme={currentTheme}
+            tooltipStyle={tooltipStyle}
+            onOpen={openWatched}
+            onRemove={(entry) => setWatchlist(list => list.filter(item => item !== entry))}
+            onClose={() => setShowWatchlist(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showSettings && (
+          <SettingsPanel
+            key={activeProfile.id}
+            currentTheme={currentTheme}
+            profiles={profiles}
+            activeProfile={activeProfile}
+            onSaveProfile={saveProfile}
+            onAddProfile={addProfile}
+            onRemoveProfile={removeProfile}
+            healthThresholds={healthThresholds}
+            onHealthThresholdsChange={setHealthThresholds}
+            demo={demo}
+            onDemoChange={setDemo}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      <SearchBar
+        currentTheme={currentTheme}
+        lookupMode={lookupMode}
+        onModeChange={setLookupMode}
+        username={username}
+        onUsernameChange={setUsername}
+        onSubmit={() => fetchGitHubData()}
+      />
 
       <div className="max-w-6xl mx-auto px-6 pb-16">
-        {/* Loading State */}
-        <AnimatePresence>
-          {loading && (
-            <motion.div 
-              className="flex justify-center my-16"
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              exit={{ opacity: 0 }}
-            >
-              <div className="flex flex-col items-center">
-                <div className={`w-16 h-16 border-4 border-t-purple-500 rounded-full animate-spin ${darkMode ? "border-purple-800" : "border-purple-200"}`}></div>
-                <p className="mt-4 text-lg">Fetching GitHub data...</p>
-              </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
-
-        {/* Error Message */}
-        <AnimatePresence>
-          {error && !loading && (
-            <motion.div 
-              className={`p-4 rounded-lg mb-6 ${darkMode ? "bg-red-900/30" : "bg-red-100"} border ${darkMode ? "border-red-800" : "border-red-200"} text-center`}
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0 }}
-            >
-              <p className={darkMode ? "text-red-200" : "text-red-600"}>{error}</p>
-            </motion.div>
-          )}
-        </AnimatePresence>
+      {/* Loading State */}
+      <AnimatePresence>
+        {loading && (
+          <motion.div 
+            className="flex justify-center my-16"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+          >
+            <div className="flex flex-col items-center">
+              <div className={`w-16 h-16 border-4 border-t-purple-500 rounded-full animate-spin ${darkMode ? "border-purple-800" : "border-purple-200"}`}></div>
+              <p className="mt-4 text-lg">Fetching GitHub data...</p>
+              {loadProgress && loadProgress.total > 0 && (
+                <div className="mt-3 w-64">
+                  <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                    <div
+                      className="h-full rounded-full bg-purple-500 transition-all"
+                      style={{ width: `${Math.min(100, (loadProgress.loaded / loadProgress.total) * 100)}%` }}
+                    />
+                  </div>
+                  <p className={`mt-2 text-sm text-center ${currentTheme.textSecondary}`}>
+                    Loaded {loadProgress.loaded} of {loadProgress.total} repositories
+                  </p>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Error Message */}
+      <AnimatePresence>
+        {error && !loading && (
+          <ErrorNotice
+            error={error}
+            darkMode={darkMode}
+            currentTheme={currentTheme}
+            onRetry={retryLookup}
+            onOpenSettings={() => setShowSettings(true)}
+          />
+        )}
+      </AnimatePresence>
 
         {/* Main Content */}
-        {userData && !loading && (
+        {view === "profile" && userData && !selectedRepo && !loading && (
           <motion.div
             initial="hidden"
             animate="visible"
             variants={containerVariants}
           >
-            {/* User Profile */}
-            <motion.div variants={itemVariants} className="mb-8">
-              <div className={`p-6 rounded-2xl shadow-lg ${currentTheme.cardBg} flex flex-col md:flex-row items-center md:items-start gap-6`}>
-                <motion.img 
-                  src={userData.avatar_url} 
-                  alt="Avatar" 
-                  className="w-24 h-24 md:w-32 md:h-32 rounded-full border-4 border-purple-500 shadow-lg"
-                  initial={{ scale: 0.8, opacity: 0 }}
-                  animate={{ scale: 1, opacity: 1 }}
-                  transition={{ delay: 0.2 }}
-                />
-                
-                <div className="flex-1">
-                  <div className="flex flex-col md:flex-row md:items-center justify-between">
-                    <div>
-                      <h2 className="text-2xl font-bold">{userData.name || userData.login}</h2>
-                      <p className={`text-lg ${currentTheme.textSecondary}`}>@{userData.login}</p>
-                    </div>
-                    
-                    {userData.html_url && (
-                      <motion.a 
-                        href={userData.html_url} 
-                        target="_blank" 
-                        rel="noopener noreferrer"
-                        className={`mt-4 md:mt-0 px-4 py-2 rounded-lg ${currentTheme.accent} hover:${currentTheme.accentHover} text-white font-medium transition-colors`}
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                      >
-                        View on GitHub
-                      </motion.a>
-                    )}
-                  </div>
-                  
-                  <p className="my-3">{userData.bio}</p>
-                  
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
-                    <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
-                      <Code className="mr-2" size={18} />
-                      <div>
-                        <div className="font-bold">{userData.public_repos}</div>
-                        <div className="text-sm text-gray-400">Repositories</div>
-                      </div>
-                    </div>
-                    
-                    <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
-                      <Users className="mr-2" size={18} />
-                      <div>
-                        <div className="font-bold">{userData.followers}</div>
-                        <div className="text-sm text-gray-400">Followers</div>
-                      </div>
-                    </div>
-                    
-                    <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
-                      <Star className="mr-2" size={18} />
-                      <div>
-                        <div className="font-bold">{userData.following}</div>
-                        <div className="text-sm text-gray-400">Following</div>
-                      </div>
-                    </div>
-                    
-                    <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
-                      <Calendar className="mr-2" size={18} />
-                      <div>
-                        <div className="font-bold">{new Date(userData.created_at).getFullYear()}</div>
-                        <div className="text-sm text-gray-400">Joined GitHub</div>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </motion.div>
-
-            {/* Tabs */}
-            <motion.div variants={itemVariants} className="mb-6">
-              <div className={`flex overflow-x-auto ${currentTheme.border} border-b`}>
-                <button 
-                  onClick={() => setActiveTab("overview")}
-                  className={`px-4 py-3 font-medium ${activeTab === "overview" 
-                    ? `border-b-2 border-purple-500 text-purple-400` 
-                    : currentTheme.textSecondary}`}
-                >
-                  Overview
-                </button>
-                <button 
-                  onClick={() => setActiveTab("repositories")}
-                  className={`px-4 py-3 font-medium ${activeTab === "repositories" 
-                    ? `border-b-2 border-purple-500 text-purple-400` 
-                    : currentTheme.textSecondary}`}
-                >
-                  Repositories
-                </button>
-                <button 
-                  onClick={() => setActiveTab("stats")}
-                  className={`px-4 py-3 font-medium ${activeTab === "stats" 
-                    ? `border-b-2 border-purple-500 text-purple-400` 
-                    : currentTheme.textSecondary}`}
-                >
-                  Statistics
-                </button>
-              </div>
-            </motion.div>
-
-            {/* Overview Tab */}
+            <ProfileCard
+              userData={userData}
+              isOrg={isOrg}
+              members={members}
+              webUrl={activeProfile.webUrl}
+              currentTheme={currentTheme}
+              lastUpdated={lastUpdated}
+              refreshing={refreshing}
+              onRefresh={() => fetchGitHubData(lookup.name, lookup.mode, { push: false, refresh: true })}
+              watched={isWatched(userData.login)}
+              onToggleWatch={toggleWatch}
+              exportCount={filteredRepos.length}
+              onExport={exportRepos}
+              onShowReport={() => setShowReport(true)}
+            />
+
+            <TabBar tabs={tabs} activeTab={activeTab} onChange={setActiveTab} currentTheme={currentTheme} />
+
             <AnimatePresence mode="wait">
               {activeTab === "overview" && (
-                <motion.div
+                <OverviewTab
                   key="overview"
-                  initial="hidden"
-                  animate="visible"
-                  exit="hidden"
-                  variants={fadeVariants}
-                >
-                  <motion.div variants={itemVariants} className="mb-8">
-                    <h3 className="text-xl font-bold mb-4">Activity Overview</h3>
-                    <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
-                      <div className="h-72">
-                        <ResponsiveContainer width="100%" height="100%">
-                          <LineChart data={contributionData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-                            <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
-                            <XAxis 
-                              dataKey="date" 
-                              stroke={currentTheme.textSecondary}
-                              tick={{ fontSize: 12 }}
-                              tickFormatter={(value) => value.split(' ')[0]}
-                            />
-                            <YAxis 
-                              stroke={currentTheme.textSecondary}
-                              tick={{ fontSize: 12 }}
-                            />
-                            <Tooltip 
-                              contentStyle={{ 
-                                backgroundColor: darkMode ? '#2D1A45' : '#FFFFFF',
-                                border: darkMode ? '1px solid #4C1D95' : '1px solid #E9D5FF',
-                                color: darkMode ? '#F3F4F6' : '#1F2937'
-                              }}
-                            />
-                            <Legend />
-                            <Line 
-                              type="monotone" 
-                              dataKey="contributions" 
-                              stroke={currentTheme.chartLine}
-                              activeDot={{ r: 8 }} 
-                              strokeWidth={2}
-                            />
-                          </LineChart>
-                        </ResponsiveContainer>
-                      </div>
-                    </div>
-                  </motion.div>
-                  
-                  <motion.div variants={itemVariants}>
-                    <h3 className="text-xl font-bold mb-4">Popular Repositories</h3>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      {repos
-                        .sort((a, b) => b.stargazers_count - a.stargazers_count)
-                        .slice(0, 4)
-                        .map(repo => (
-                          <motion.div 
-                            key={repo.id} 
-                            className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}
-                            whileHover={{ y: -5, transition: { duration: 0.2 } }}
-                          >
-                            <h4 className="text-lg font-bold truncate">{repo.name}</h4>
-                            <p className={`text-sm ${currentTheme.textSecondary} h-12 overflow-hidden`}>
-                              {repo.description || "No description available"}
-                            </p>
-                            
-                            <div className="flex items-center mt-4">
-                              {repo.language && (
-                                <div className="flex items-center mr-4">
-                                  <div 
-                                    className="w-3 h-3 rounded-full mr-1" 
-                                    style={{ 
-                                      backgroundColor: languageColors[repo.language] || "#" + Math.floor(Math.random()*16777215).toString(16)
-                                    }}
-                                  ></div>
-                                  <span className="text-sm">{repo.language}</span>
-                                </div>
-                              )}
-                              
-                              <div className="flex items-center mr-4">
-                                <Star size={14} className="mr-1" />
-                                <span className="text-sm">{repo.stargazers_count}</span>
-                              </div>
-                              
-                              <div className="flex items-center">
-                                <GitFork size={14} className="mr-1" />
-                                <span className="text-sm">{repo.forks_count}</span>
-                              </div>
-                            </div>
-                          </motion.div>
-                        ))}
-                    </div>
-                  </motion.div>
-                </motion.div>
+                  repos={repos}
+                  repoHealth={repoHealth}
+                  contributionData={contributionData}
+                  activityMeta={activityMeta}
+                  calendar={calendar}
+                  calendarYear={calendarYear}
+                  onCalendarYearChange={setCalendarYear}
+                  isOrg={isOrg}
+                  currentTheme={currentTheme}
+                  tooltipStyle={tooltipStyle}
+                  onOpenRepo={openRepo}
+                />
               )}
 
-              {/* Repositories Tab */}
               {activeTab === "repositories" && (
-                <motion.div
+                <RepositoriesTab
                   key="repositories"
-                  initial="hidden"
-                  animate="visible"
-                  exit="hidden"
-                  variants={fadeVariants}
-                >
-                  <motion.div variants={itemVariants} className="mb-6">
-                    <div className="flex flex-col md:flex-row justify-between gap-4">
-                      <div className={`flex-1 flex items-center px-3 rounded-lg ${currentTheme.cardBg} border ${currentTheme.border}`}>
-                        <Search size={18} className={currentTheme.textSecondary} />
-                        <input
-                          type="text"
-                          className={`w-full p-2 outline-none ${currentTheme.cardBg} ${currentTheme.text}`}
-                          placeholder="Filter repositories..."
-                          value={filterText}
-                          onChange={(e) => setFilterText(e.target.value)}
-                        />
-                      </div>
-
-                      <div className="flex">
-                        <div className={`flex items-center ${currentTheme.cardBg} ${currentTheme.border} border rounded-lg overflow-hidden`}>
-                          <Filter size={18} className={`ml-3 ${currentTheme.textSecondary}`} />
-                          <select
-                            value={sortOption}
-                            onChange={(e) => setSortOption(e.target.value)}
-                            className={`p-2 outline-none cursor-pointer ${currentTheme.cardBg} ${currentTheme.text}`}
-                          >
-                            <option value="updated">Recently Updated</option>
-                            <option value="stars">Most Stars</option>
-                            <option value="forks">Most Forks</option>
-                            <option value="name">Name</option>
-                          </select>
-                        </div>
-                      </div>
-                    </div>
-                  </motion.div>
-
-                  <motion.div variants={itemVariants} layout>
-                    <p className="text-sm mb-4">
-                      {filteredRepos.length} repositories found
-                    </p>
-                    
-                    <AnimatePresence>
-                      {filteredRepos.length === 0 && (
-                        <motion.div 
-                          className={`p-8 text-center rounded-lg ${currentTheme.cardBg}`}
-                          initial={{ opacity: 0 }}
-                          animate={{ opacity: 1 }}
-                          exit={{ opacity: 0 }}
-                        >
-                          <p>No repositories match your filter criteria.</p>
-                        </motion.div>
-                      )}
-                    </AnimatePresence>
-                    
-                    <div className="grid grid-cols-1 gap-4">
-                      <AnimatePresence>
-                        {filteredRepos.map(repo => (
-                          <motion.div 
-                            key={repo.id} 
-                            layout
-                            initial={{ opacity: 0, y: 20 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            exit={{ opacity: 0, y: -20 }}
-                            className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}
-                          >
-                            <div className="flex flex-col md:flex-row md:items-center justify-between">
-                              <div>
-                                <h4 className="text-lg font-bold">{repo.name}</h4>
-                                <p className={`${currentTheme.textSecondary} mt-1`}>
-                                  {repo.description || "No description available"}
-                                </p>
-                                
-                                <div className="flex flex-wrap items-center mt-3 gap-3">
-                                  {repo.language && (
-                                    <div className="flex items-center">
-                                      <div 
-                                        className="w-3 h-3 rounded-full mr-1" 
-                                        style={{ 
-                                          backgroundColor: languageColors[repo.language] || "#" + Math.floor(Math.random()*16777215).toString(16)
-                                        }}
-                                      ></div>
-                                      <span className="text-sm">{repo.language}</span>
-                                    </div>
-                                  )}
-                                  
-                                  <div className="flex items-center">
-                                    <Star size={14} className="mr-1" />
-                                    <span className="text-sm">{repo.stargazers_count}</span>
-                                  </div>
-                                  
-                                  <div className="flex items-center">
-                                    <GitFork size={14} className="mr-1" />
-                                    <span className="text-sm">{repo.forks_count}</span>
-                                  </div>
-                                  
-                                  <div className="text-sm">
-                                    Updated {new Date(repo.updated_at).toLocaleDateString()}
-                                  </div>
-                                </div>
-                              </div>
-                              
-                              <motion.a 
-                                href={repo.html_url} 
-                                target="_blank" 
-                                rel="noopener noreferrer"
-                                className={`mt-3 md:mt-0 px-3 py-1 rounded-lg text-sm ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
-                                whileHover={{ scale: 1.05 }}
-                                whileTap={{ scale: 0.95 }}
-                              >
-                                View Repo
-                              </motion.a>
-                            </div>
-                          </motion.div>
-                        ))}
-                      </AnimatePresence>
-                    </div>
-                  </motion.div>
-                </motion.div>
+                  repos={repos}
+                  filteredRepos={filteredRepos}
+                  repoHealth={repoHealth}
+                  filterText={filterText}
+                  onFilterTextChange={setFilterText}
+                  filters={filters}
+                  onFiltersChange={setFilters}
+                  sortOption={sortOption}
+                  onSortChange={setSortOption}
+                  coverage={coverageNote}
+                  currentTheme={currentTheme}
+                  onOpenRepo={openRepo}
+                />
               )}
 
-              {/* Stats Tab */}
               {activeTab === "stats" && (
-                <motion.div
+                <StatsTab
                   key="stats"
-                  initial="hidden"
-                  animate="visible"
-                  exit="hidden"
-                  variants={fadeVariants}
-                >
-                  <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
-                      <h3 className="text-lg font-bold mb-4">Top Languages</h3>
-                      
-                      {getLanguageStats().length > 0 ? (
-                        <div className="space-y-3">
-                          {getLanguageStats().map(lang => (
-                            <div key={lang.name} className="flex flex-col">
-                              <div className="flex justify-between mb-1">
-                                <span>{lang.name}</span>
-                                <span>{((lang.value / repos.length) * 100).toFixed(1)}%</span>
-                              </div>
-                              <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
-                                <motion.div 
-                                  className="h-full rounded-full"
-                                  style={{ backgroundColor: lang.color, width: 0 }}
-                                  animate={{ width: `${(lang.value / repos.length) * 100}%` }}
-                                  transition={{ duration: 1, delay: 0.2 }}
-                                />
-                              </div>
-                            </div>
-                          ))}
-                        </div>
-                      ) : (
-                        <p className="text-center py-4">No language data available</p>
-                      )}
-                    </div>
-                    
-                    <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
-                      <h3 className="text-lg font-bold mb-4">Repository Activity</h3>
-                      <div className="space-y-3">
-                        <div className="flex items-center justify-between">
-                          <span>Recently Updated</span>
-                          <span className="font-bold">{repos.filter(r => {
-                            const date = new Date(r.updated_at);
-                            const now = new Date();
-                            const monthAgo = new Date();
-                            monthAgo.setMonth(now.getMonth() - 1);
-                            return date > monthAgo;
-                          }).length}</span>
-                        </div>
-                        
-                        <div className="flex items-center justify-between">
-                          <span>Starred Repositories</span>
-                          <span className="font-bold">{repos.filter(r => r.stargazers_count > 0).length}</span>
-                        </div>
-                        
-                        <div className="flex items-center justify-between">
-                          <span>Forked Repositories</span>
-                          <span className="font-bold">{repos.filter(r => r.forks_count > 0).length}</span>
-                        </div>
-                        
-                        <div className="flex items-center justify-between">
-                          <span>Repositories with Issues</span>
-                          <span className="font-bold">{repos.filter(r => r.open_issues_count > 0).length}</span>
-                        </div>
-                      </div>
-                    </div>
-                    
-                    <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
-                      <h3 className="text-lg font-bold mb-4">Stars Timeline</h3>
-                      <div className="h-64">
-                        <ResponsiveContainer width="100%" height="100%">
-                        <LineChart
-                            data={repos
-                              .filter(repo => repo.stargazers_count > 0)
-                              .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-                              .slice(0, 10)
-                              .map(repo => ({
-                                name: repo.name,
-                                stars: repo.stargazers_count,
-                                created: new Date(repo.created_at).toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-                              }))
-                            }
-                            margin={{ top: 5, right: 30, left: 20, bottom: 25 }}
-                          >
-                            <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
-                            <XAxis
-                              dataKey="created"
-                              stroke={currentTheme.textSecondary}
-                              tick={{ fontSize: 12 }}
-                              angle={-45}
-                              textAnchor="end"
-                            />
-                            <YAxis
-                              stroke={currentTheme.textSecondary}
-                              tick={{ fontSize: 12 }}
-                            />
-                            <Tooltip
-                              contentStyle={{
-                                backgroundColor: darkMode ? '#2D1A45' : '#FFFFFF',
-                                border: darkMode ? '1px solid #4C1D95' : '1px solid #E9D5FF',
-                                color: darkMode ? '#F3F4F6' : '#1F2937'
-                              }}
-                              formatter={(value, name, props) => [value, props.payload.name]}
-                              labelFormatter={(value) => `Created: ${value}`}
-                            />
-                            <Line
-                              type="monotone"
-                              dataKey="stars"
-                              stroke={currentTheme.chartLine}
-                              strokeWidth={2}
-                              dot={{ r: 4, strokeWidth: 2 }}
-                              activeDot={{ r: 6 }}
-                            />
-                          </LineChart>
-                        </ResponsiveContainer>
-                      </div>
-                    </div>
-                  </motion.div>
-                </motion.div>
+                  repos={repos}
+                  repoHealth={repoHealth}
+                  healthThresholds={healthThresholds}
+                  languageMode={languageMode}
+                  onLanguageModeChange={setLanguageMode}
+                  languageBytes={languageBytes}
+                  onConfirmLanguageBytes={() => setLanguageBytesApproved(languageBytesKey)}
+                  rateLimit={rateLimit}
+                  languageStats={languageStats}
+                  starHistory={starHistory}
+                  starTimelineData={starTimelineData}
+                  starTotalLabel={starTotalLabel}
+                  starSelection={starSelection}
+                  onToggleStarRepo={toggleStarRepo}
+                  punchCard={punchCard}
+                  statsRequests={starHistory.status === "confirm" || punchCard.status === "confirm" ? estimateStatsRequests(repos) : null}
+                  onConfirmStats={() => setStatsApproved(statsAccount)}
+                  coverage={coverageNote}
+                  currentTheme={currentTheme}
+                  tooltipStyle={tooltipStyle}
+                  onOpenRepo={openRepo}
+                />
+              )}
+
+              {!isOrg && activeTab === "issues" && (
+                <IssuesTab
+                  key="issues"
+                  analytics={issueAnalytics}
+                  login={userData.login}
+                  webUrl={activeProfile.webUrl}
+                  darkMode={darkMode}
+                  currentTheme={currentTheme}
+                  tooltipStyle={tooltipStyle}
+                />
+              )}
+
+              {!isOrg && activeTab === "network" && (
+                <NetworkTab
+                  key="network"
+                  network={network}
+                  options={networkOptions}
+                  onOptionsChange={setNetworkOptions}
+                  repoCount={repos.length}
+                  darkMode={darkMode}
+                  currentTheme={currentTheme}
+                  onOpenUser={openUser}
+                />
+              )}
+
+              {!isOrg && activeTab === "stars" && (
+                <StarsTab
+                  key="stars"
+                  starred={starred}
+                  darkMode={darkMode}
+                  currentTheme={currentTheme}
+                  tooltipStyle={tooltipStyle}
+                />
+              )}
+
+              {!isOrg && activeTab === "gists" && (
+                <GistsTab
+                  key="gists"
+                  gists={gists}
+                  publicGists={userData.public_gists}
+                  onLoadGist={loadGist}
+                  darkMode={darkMode}
+                  currentTheme={currentTheme}
+                />
+              )}
+
+              {isOrg && activeTab === "organization" && (
+                <OrganizationTab key="organization" repos={repos} members={members} currentTheme={currentTheme} />
               )}
             </AnimatePresence>
           </motion.div>
         )}
+
+        {view === "profile" && selectedRepo && !loading && (
+          <RepoDetail
+            repo={selectedRepo}
+            detail={repoDetail}
+            owner={userData.login}
+            darkMode={darkMode}
+            currentTheme={currentTheme}
+            tooltipStyle={tooltipStyle}
+            onBack={closeRepo}
+            onRetry={() => setSelectedRepo({ ...selectedRepo })}
+          />
+        )}
+
+        {view === "compare" && comparison.length > 0 && !loading && (
+          <CompareView comparison={comparison} currentTheme={currentTheme} tooltipStyle={tooltipStyle} />
+        )}
       </div>
 
-      {/* Footer */}
-      <motion.footer 
-        className={`mt-auto py-6 ${currentTheme.secondaryBg} border-t ${currentTheme.border}`}
-        initial={{ opacity: 0 }}
-        animate={{ opacity: 1 }}
-        transition={{ delay: 0.5 }}
-      >
-        <div className="max-w-6xl mx-auto px-6 flex flex-col md:flex-row justify-between items-center">
-          <div className="flex items-center mb-4 md:mb-0">
-            <Github size={20} className={`mr-2 ${currentTheme.textSecondary}`} />
-            <p className={`text-sm ${currentTheme.textSecondary}`}>
-              GitHub Insights Dashboard | 2025
-            </p>
-          </div>
-          
-          <div className="flex items-center space-x-6">
-            <motion.a
-              href="https://github.com/Mahrukh-Adeel/GitHub-Insights-Dashboard/"
-              target="_blank"
-              rel="noopener noreferrer"
-              className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
-              whileHover={{ scale: 1.1 }}
-            >
-              <Star size={18} className="mr-1" /> Star
-            </motion.a>
-            
-            {/* <motion.a
-              href="https://buymeacoffee.com"
-              target="_blank"
-              rel="noopener noreferrer"
-              className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
-              whileHover={{ scale: 1.1 }}
-            >
-              <Coffee size={18} className="mr-1" /> Support
-            </motion.a>
-            
-            <motion.a
-              href="https://x.com"
-              target="_blank"
-              rel="noopener noreferrer"
-              className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
-              whileHover={{ scale: 1.1 }}
-            >
-              <Heart size={18} className="mr-1" /> Follow
-            </motion.a> */}
-          </div>
-        </div>
-      </motion.footer>
+      {showReport && userData && (
+        <PrintableReport
+          userData={userData}
+          isOrg={isOrg}
+          members={members}
+          repos={repos}
+          reposComplete={reposComplete}
+          languageMode={languageMode}
+          languageStats={languageStats}
+          activityMeta={activityMeta}
+          contributionData={contributionData}
+          starHistory={starHistory}
+          starTimelineData={starTimelineData}
+          starTotalLabel={starTotalLabel}
+          starSelection={starSelection}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
+      <Footer currentTheme={currentTheme} />
     </div>
   );
 };
@@ -0,0 +1,80 @@
+const CACHE_DB_NAME = "github-insights-cache";
+const CACHE_STORE = "responses";
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+export const CACHE_MAX_ENTRIES = 500;
+
+// IndexedDB response cache keyed by URL; every failure degrades to "not cached". When the
+// database can't be opened at all (blocked storage, some private windows) the cache stays
+// off for the session after a single logged error.
+let cacheDbPromise = null;
+
+const openCacheDb = () => {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE).createIndex("fetchedAt", "fetchedAt");
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.error("Response cache unavailable:", error);
+      return null;
+    });
+  }
+  return cacheDbPromise;
+};
+
+// Drop entries older than CACHE_MAX_AGE, then the oldest ones beyond CACHE_MAX_ENTRIES
+const pruneCache = (store) => {
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    const cutoff = Date.now() - CACHE_MAX_AGE;
+    let excess = countRequest.result - CACHE_MAX_ENTRIES;
+    const cursorRequest = store.index("fetchedAt").openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || (excess <= 0 && cursor.key >= cutoff)) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
+};
+
+export const readCache = async (url) => {
+  try {
+    const db = await openCacheDb();
+    if (!db) return null;
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(url);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error("Error reading cache:", error);
+    return null;
+  }
+};
+
+export const writeCache = async (url, entry) => {
+  try {
+    const db = await openCacheDb();
+    if (!db) return;
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(CACHE_STORE, "readwrite");
+      const store = transaction.objectStore(CACHE_STORE);
+      store.put(entry, url);
+      pruneCache(store);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error("Error writing cache:", error);
+  }
+};
+
+// A cached response shaped like an axios one, for showing data before the network answers
+export const getCachedResponse = async (url) => {
+  const entry = await readCache(url);
+  if (!entry) throw new Error(`Not cached: ${url}`);
+  return { status: 304, data: entry.data, headers: { link: entry.link }, fetchedAt: entry.fetchedAt };
+};
@@ -0,0 +1,47 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { CACHE_MAX_ENTRIES, readCache, writeCache } from "./cache";
+
+const DAY = 24 * 60 * 60 * 1000;
+const entry = (fetchedAt) => ({ data: { ok: true }, etag: "\"abc\"", fetchedAt });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("response cache", () => {
+  it("reads back what was written", async () => {
+    await writeCache("https://api.github.com/users/octocat", entry(Date.now()));
+    expect(await readCache("https://api.github.com/users/octocat")).toMatchObject({ etag: "\"abc\"" });
+    expect(await readCache("https://api.github.com/users/nobody")).toBeNull();
+  });
+
+  it("drops entries older than a month when writing", async () => {
+    await writeCache("https://api.github.com/users/old", entry(Date.now() - 31 * DAY));
+    await writeCache("https://api.github.com/users/recent", entry(Date.now() - DAY));
+    expect(await readCache("https://api.github.com/users/old")).toBeNull();
+    expect(await readCache("https://api.github.com/users/recent")).not.toBeNull();
+  });
+
+  it("keeps only the most recently fetched entries", async () => {
+    const now = Date.now();
+    for (let i = 0; i <= CACHE_MAX_ENTRIES; i++) {
+      await writeCache(`https://api.github.com/repos/octocat/repo-${i}`, entry(now - (CACHE_MAX_ENTRIES - i) * 1000));
+    }
+    expect(await readCache("https://api.github.com/repos/octocat/repo-0")).toBeNull();
+    expect(await readCache(`https://api.github.com/repos/octocat/repo-${CACHE_MAX_ENTRIES}`)).not.toBeNull();
+  });
+
+  it("turns itself off quietly when IndexedDB can't be opened", async () => {
+    vi.resetModules();
+    vi.stubGlobal("indexedDB", { open: () => { throw new Error("blocked"); } });
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+    const cache = await import("./cache");
+
+    expect(await cache.readCache("https://api.github.com/users/octocat")).toBeNull();
+    await cache.writeCache("https://api.github.com/users/octocat", entry(Date.now()));
+    expect(await cache.readCache("https://api.github.com/users/octocat")).toBeNull();
+    expect(log).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,226 @@
+import axios, { AxiosError, CanceledError } from "axios";
+import { readCache, writeCache, getCachedResponse } from "./cache";
+import { readDemoSettings, demoAdapter } from "./demo";
+import { GITHUB_API_URL, readProfiles, readActiveProfileId, findProfile, getGraphqlUrl } from "./profiles";
+
+const MAX_PAGES = 30;
+const REQUEST_TIMEOUT = 20000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+
+// The host and token requests use; App switches it before starting lookups on another host
+let apiProfile = findProfile(readProfiles(), readActiveProfileId());
+
+export const setApiProfile = (profile) => {
+  apiProfile = profile;
+};
+
+export const apiProfileId = () => apiProfile.id;
+
+export const apiUrl = (path) => `${apiProfile.apiUrl}${path}`;
+
+export const graphqlUrl = () => getGraphqlUrl(apiProfile.apiUrl);
+
+export const hasToken = () => Boolean(apiProfile.token);
+
+// Shared client: sends the active profile's token, revalidates cached responses with ETags
+// (304s don't count against the rate limit), reports X-RateLimit-* headers and retries
+// server errors and dropped connections
+export const github = axios.create({
+  timeout: REQUEST_TIMEOUT,
+  transitional: { clarifyTimeoutError: true },
+  validateStatus: status => (status >= 200 && status < 300) || status === 304
+});
+let rateLimitListener = null;
+
+export const setRateLimitListener = (listener) => {
+  rateLimitListener = listener;
+};
+
+// The header shows the core REST quota; search and GraphQL responses report their own,
+// much smaller or differently counted, limits
+const reportRateLimit = (headers) => {
+  if (!headers || headers["x-ratelimit-limit"] === undefined) return;
+  const resource = headers["x-ratelimit-resource"];
+  if (resource && resource !== "core") return;
+  rateLimitListener?.({
+    limit: Number(headers["x-ratelimit-limit"]),
+    remaining: Number(headers["x-ratelimit-remaining"]),
+    reset: new Date(Number(headers["x-ratelimit-reset"]) * 1000)
+  });
+};
+
+github.interceptors.request.use(async config => {
+  // Demo responses never touch the response cache and never see the real token
+  const demo = readDemoSettings();
+  if (demo.enabled) {
+    config.cache = false;
+    config.url = config.url.replace(apiProfile.apiUrl, demo.baseUrl.replace(/\/+$/, "") || GITHUB_API_URL);
+    if (!demo.baseUrl) config.adapter = demoAdapter;
+    return config;
+  }
+
+  if (apiProfile.token) config.headers.Authorization = `Bearer ${apiProfile.token}`;
+
+  if (config.method === "get" && config.cache !== false) {
+    const entry = await readCache(config.url);
+    if (entry?.etag) {
+      config.headers["If-None-Match"] = entry.etag;
+      config.cachedEntry = entry;
+    }
+  }
+  return config;
+});
+
+// Timeouts are not retried: the request already took the whole timeout once
+const isRetryable = (error) => error.code === AxiosError.ERR_NETWORK || error.response?.status >= 500;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CanceledError());
+  };
+  // The signal belongs to the whole lookup, so the listener goes once the wait is over
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+github.interceptors.response.use(
+  res => {
+    reportRateLimit(res.headers);
+    const { config } = res;
+    if (config.method !== "get" || config.cache === false) return res;
+
+    if (res.status === 304 && config.cachedEntry) {
+      res.data = config.cachedEntry.data;
+      res.headers.link = config.cachedEntry.link;
+      writeCache(config.url, { ...config.cachedEntry, fetchedAt: Date.now() });
+    } else if (res.status === 200 && res.headers.etag) {
+      writeCache(config.url, {
+        etag: res.headers.etag,
+        link: res.headers.link,
+        data: res.data,
+        fetchedAt: Date.now()
+      });
+    }
+    return res;
+  },
+  async error => {
+    reportRateLimit(error.response?.headers);
+    const { config } = error;
+    if (!config || !isRetryable(error) || (config.retryCount || 0) >= MAX_RETRIES) throw error;
+
+    // Exponential backoff with jitter: about 0.5s, then 1s
+    config.retryCount = (config.retryCount || 0) + 1;
+    await wait(RETRY_BASE_DELAY * 2 ** (config.retryCount - 1) * (1 + Math.random() / 2), config.signal);
+    return github(config);
+  }
+);
+
+// Sort a failed request into the cases the UI explains differently. `subject` names what
+// was looked up, e.g. "User" in "User not found".
+export const describeRequestError = (error, subject = "Resource") => {
+  if (axios.isCancel(error)) return { kind: "aborted", message: "" };
+
+  const status = error.response?.status;
+  const rateLimitMessage = getRateLimitMessage(error);
+  if (status === 404) {
+    return { kind: "not-found", message: `${subject} not found. Please check the name and try again.` };
+  }
+  if (rateLimitMessage) return { kind: "rate-limit", message: rateLimitMessage };
+  if (status === 401) {
+    return { kind: "auth", message: "GitHub rejected the access token. Check it in settings." };
+  }
+  if (error.code === AxiosError.ETIMEDOUT || error.code === AxiosError.ECONNABORTED) {
+    return { kind: "timeout", message: "GitHub took too long to respond. Try again in a moment." };
+  }
+  if (error.code === AxiosError.ERR_NETWORK) {
+    return {
+      kind: "offline",
+      message: typeof navigator !== "undefined" && navigator.onLine === false
+        ? "You're offline. The lookup will run again when the connection is back."
+        : `Could not reach ${new URL(apiProfile.apiUrl).host}. Check your connection or the API URL in settings.`
+    };
+  }
+  if (status >= 500) {
+    return { kind: "server", message: `GitHub is having trouble right now (HTTP ${status}). Please try again later.` };
+  }
+  return { kind: "unknown", message: "An error occurred while fetching data. Please try again later." };
+};
+
+// Returns a "rate limited until HH:MM" message when the error is a rate limit, otherwise null
+export const getRateLimitMessage = (error) => {
+  const status = error.response?.status;
+  const headers = error.response?.headers || {};
+  if (status !== 403 && status !== 429) return null;
+
+  let resetAt = null;
+  if (headers["x-ratelimit-remaining"] === "0") {
+    resetAt = new Date(Number(headers["x-ratelimit-reset"]) * 1000);
+  } else if (headers["retry-after"]) {
+    resetAt = new Date(Date.now() + Number(headers["retry-after"]) * 1000);
+  } else if (status === 403) {
+    return null;
+  }
+
+  const until = resetAt
+    ? resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : "later";
+  return `GitHub API rate limit reached. Rate limited until ${until}. Add a personal access token in settings for a higher limit.`;
+};
+
+const findLink = (linkHeader, rel) => {
+  if (!linkHeader) return null;
+  const link = linkHeader
+    .split(",")
+    .map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+    .find(match => match && match[2] === rel);
+  return link ? link[1] : null;
+};
+
+// Pull the rel="next" URL out of a GitHub Link header
+export const getNextPageUrl = (linkHeader) => findLink(linkHeader, "next");
+
+// The page number of the rel="last" URL in a GitHub Link header, or null when there is one page
+export const getLastPage = (linkHeader) => {
+  const last = findLink(linkHeader, "last");
+  return last ? Number(new URL(last).searchParams.get("page")) : null;
+};
+
+// Follow Link headers until the last page or the page cap; a failure after the
+// first page keeps what was loaded and reports the result as incomplete, but an abort still throws.
+// With fromCache, pages come from the cache only and any miss throws.
+export const fetchAllPages = async (url, { maxPages = MAX_PAGES, onPage, fromCache = false, signal, headers } = {}) => {
+  const items = [];
+  let nextUrl = url;
+  let page = 0;
+  let notModified = true;
+  let fetchedAt = Date.now();
+
+  while (nextUrl && page < maxPages) {
+    let res;
+    try {
+      res = fromCache ? await getCachedResponse(nextUrl) : await github.get(nextUrl, { signal, headers });
+    } catch (error) {
+      if (page === 0 || fromCache || axios.isCancel(error)) throw error;
+      console.error(`Error fetching page ${page + 1}:`, error);
+      return { items, complete: false, notModified: false, fetchedAt };
+    }
+
+    items.push(...res.data);
+    page++;
+    notModified = notModified && res.status === 304;
+    if (res.fetchedAt) fetchedAt = Math.min(fetchedAt, res.fetchedAt);
+    nextUrl = getNextPageUrl(res.headers.link);
+    onPage?.({ page, loaded: items.length });
+  }
+
+  return { items, complete: !nextUrl, notModified, fetchedAt };
+};
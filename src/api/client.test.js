@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import axios, { AxiosError, CanceledError } from "axios";
+import { github, getNextPageUrl, getLastPage, getRateLimitMessage, describeRequestError, setRateLimitListener } from "./client";
+
+describe("getNextPageUrl", () => {
+  it("reads the next link out of a Link header", () => {
+    const link = '<https://api.github.com/user/repos?page=3>; rel="next", <https://api.github.com/user/repos?page=9>; rel="last"';
+    expect(getNextPageUrl(link)).toBe("https://api.github.com/user/repos?page=3");
+  });
+
+  it("returns null on the last page", () => {
+    expect(getNextPageUrl('<https://api.github.com/user/repos?page=1>; rel="first"')).toBeNull();
+    expect(getNextPageUrl(undefined)).toBeNull();
+  });
+});
+
+describe("getLastPage", () => {
+  it("reads the last page number out of a Link header", () => {
+    const link = '<https://api.github.com/repositories/1/pulls?state=open&per_page=1&page=2>; rel="next", <https://api.github.com/repositories/1/pulls?state=open&per_page=1&page=42>; rel="last"';
+    expect(getLastPage(link)).toBe(42);
+    expect(getLastPage(undefined)).toBeNull();
+  });
+});
+
+describe("getRateLimitMessage", () => {
+  const failure = (status, headers = {}) => ({ response: { status, headers } });
+
+  it("explains exhausted quotas and secondary limits", () => {
+    expect(getRateLimitMessage(failure(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1750000000" })))
+      .toMatch(/^GitHub API rate limit reached\. Rate limited until /);
+    expect(getRateLimitMessage(failure(429, { "retry-after": "60" }))).toMatch(/rate limit reached/);
+    expect(getRateLimitMessage(failure(429))).toMatch(/until later/);
+  });
+
+  it("ignores other errors", () => {
+    expect(getRateLimitMessage(failure(404))).toBeNull();
+    expect(getRateLimitMessage(failure(403))).toBeNull();
+    expect(getRateLimitMessage(new Error("Network Error"))).toBeNull();
+  });
+});
+
+describe("describeRequestError", () => {
+  const failure = (status, headers = {}) => ({ response: { status, headers } });
+
+  it("tells the failure cases apart", () => {
+    expect(describeRequestError(failure(404), "User")).toEqual({
+      kind: "not-found",
+      message: "User not found. Please check the name and try again."
+    });
+    expect(describeRequestError(failure(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1750000000" })).kind).toBe("rate-limit");
+    expect(describeRequestError(failure(429)).kind).toBe("rate-limit");
+    expect(describeRequestError(failure(401)).kind).toBe("auth");
+    expect(describeRequestError(failure(502)).kind).toBe("server");
+    expect(describeRequestError(new AxiosError("timeout of 20000ms exceeded", AxiosError.ETIMEDOUT)).kind).toBe("timeout");
+    expect(describeRequestError(new AxiosError("Network Error", AxiosError.ERR_NETWORK)).kind).toBe("offline");
+    expect(describeRequestError(new CanceledError()).kind).toBe("aborted");
+    expect(describeRequestError(failure(403)).kind).toBe("unknown");
+  });
+});
+
+describe("rate limit reporting", () => {
+  const url = "https://api.github.com/users/octocat";
+  const quotaAdapter = (headers) => async (config) => ({ status: 200, data: {}, headers, config });
+
+  afterEach(() => {
+    setRateLimitListener(null);
+  });
+
+  it("reports the core quota and ignores search and GraphQL limits", async () => {
+    const listener = vi.fn();
+    setRateLimitListener(listener);
+    const quota = (resource, limit, remaining) => ({
+      "x-ratelimit-resource": resource,
+      "x-ratelimit-limit": String(limit),
+      "x-ratelimit-remaining": String(remaining),
+      "x-ratelimit-reset": "1750000000"
+    });
+
+    await github.get(url, { adapter: quotaAdapter(quota("core", 60, 42)), cache: false });
+    await github.get(url, { adapter: quotaAdapter(quota("search", 10, 9)), cache: false });
+    await github.get(url, { adapter: quotaAdapter(quota("graphql", 5000, 4999)), cache: false });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ limit: 60, remaining: 42 }));
+  });
+});
+
+describe("retries", () => {
+  const url = "https://api.github.com/users/octocat";
+  // Fails with each of the given outcomes in turn, then succeeds
+  const flakyAdapter = (failures) => {
+    const adapter = vi.fn(async (config) => {
+      const outcome = failures[adapter.mock.calls.length - 1];
+      if (outcome === "network") throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config);
+      if (outcome) {
+        const response = { status: outcome, data: {}, headers: {}, config };
+        throw new AxiosError(`Request failed with status code ${outcome}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+      }
+      return { status: 200, data: { login: "octocat" }, headers: {}, config };
+    });
+    return adapter;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("retries server errors and dropped connections with backoff", async () => {
+    const adapter = flakyAdapter([502, "network"]);
+    const request = github.get(url, { adapter, cache: false });
+    await vi.runAllTimersAsync();
+    await expect(request).resolves.toMatchObject({ data: { login: "octocat" } });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up after two retries", async () => {
+    const adapter = flakyAdapter([503, 503, 503]);
+    const request = github.get(url, { adapter, cache: false }).catch(error => error);
+    await vi.runAllTimersAsync();
+    expect((await request).response.status).toBe(503);
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry client errors", async () => {
+    const adapter = flakyAdapter([404]);
+    await expect(github.get(url, { adapter, cache: false })).rejects.toMatchObject({ response: { status: 404 } });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  it("removes its abort listener after waiting", async () => {
+    const controller = new AbortController();
+    const removeListener = vi.spyOn(controller.signal, "removeEventListener");
+    const request = github.get(url, { adapter: flakyAdapter([500]), cache: false, signal: controller.signal });
+    await vi.runAllTimersAsync();
+    await request;
+    expect(removeListener).toHaveBeenCalledWith("abort", expect.any(Function));
+  });
+
+  it("stops waiting when the request is aborted", async () => {
+    const controller = new AbortController();
+    const adapter = flakyAdapter([500]);
+    const request = github.get(url, { adapter, cache: false, signal: controller.signal }).catch(error => error);
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    expect(axios.isCancel(await request)).toBe(true);
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
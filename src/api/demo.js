@@ -0,0 +1,274 @@
+import { AxiosError } from "axios";
+import demoUser from "../fixtures/user.json";
+import demoRepos from "../fixtures/repos.json";
+import demoEvents from "../fixtures/events.json";
+import demoIssues from "../fixtures/issues.json";
+import demoStarred from "../fixtures/starred.json";
+import demoGists from "../fixtures/gists.json";
+import { startOfWeek } from "../lib/dates";
+
+export const DEMO_STORAGE_KEY = "github-insights-demo";
+
+// VITE_DEMO_MODE=true turns demo mode on for every visitor (CI screenshots);
+// VITE_DEMO_API_URL points it at a local mock server instead of the bundled fixtures
+export const DEFAULT_DEMO_SETTINGS = {
+  enabled: import.meta.env.VITE_DEMO_MODE === "true",
+  baseUrl: import.meta.env.VITE_DEMO_API_URL || ""
+};
+
+export const readDemoSettings = () => {
+  try {
+    return { ...DEFAULT_DEMO_SETTINGS, ...JSON.parse(localStorage.getItem(DEMO_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_DEMO_SETTINGS;
+  }
+};
+
+// Logins that make the bundled fixtures fail the way api.github.com can; any other
+// unknown login is a 404
+export const DEMO_ERROR_LOGINS = {
+  "rate-limited": "403 rate limit",
+  "offline": "network failure"
+};
+
+const DEMO_RATE_LIMIT = 60;
+// The fixtures were recorded at this moment; dates are moved forward so the demo always looks current
+const FIXTURE_RECORDED_AT = Date.parse("2025-06-15T12:00:00Z");
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const shiftDates = (value, offset) => {
+  if (Array.isArray(value)) return value.map(item => shiftDates(item, offset));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shiftDates(item, offset)]));
+  }
+  if (typeof value === "string" && ISO_DATE.test(value)) {
+    return new Date(Date.parse(value) + offset).toISOString().replace(".000Z", "Z");
+  }
+  return value;
+};
+
+const rateLimitHeaders = (remaining = DEMO_RATE_LIMIT) => ({
+  "x-ratelimit-limit": String(DEMO_RATE_LIMIT),
+  "x-ratelimit-remaining": String(remaining),
+  "x-ratelimit-reset": String(Math.floor(Date.now() / 1000) + 3600)
+});
+
+// Answer like axios' own adapters: resolve for statuses validateStatus accepts, reject otherwise
+const respond = (config, status, data, headers = {}) => {
+  const response = { data, status, statusText: "", headers: { ...rateLimitHeaders(), ...headers }, config, request: null };
+  if (!config.validateStatus || config.validateStatus(status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+};
+
+const notFound = (config) => respond(config, 404, { message: "Not Found", documentation_url: "https://docs.github.com/rest" });
+
+// Slice a list by the page and per_page query parameters and add a Link header for the next
+// and last pages
+const respondWithPage = (config, url, items, toData = page => page) => {
+  const perPage = Number(url.searchParams.get("per_page")) || 30;
+  const page = Number(url.searchParams.get("page")) || 1;
+  const headers = {};
+  if (page * perPage < items.length) {
+    const next = new URL(url);
+    next.searchParams.set("page", String(page + 1));
+    const last = new URL(url);
+    last.searchParams.set("page", String(Math.ceil(items.length / perPage)));
+    headers.link = `<${next}>; rel="next", <${last}>; rel="last"`;
+  }
+  return respond(config, 200, toData(items.slice((page - 1) * perPage, page * perPage)), headers);
+};
+
+// Who follows whom around demo-user, for the network graph. Everyone listed exists only as
+// far as their followers and following lists go.
+const DEMO_FOLLOWS = {
+  "demo-user": ["contributor-a", "ada-dev", "octo-maintainer"],
+  "contributor-a": ["demo-user", "contributor-b", "octo-maintainer"],
+  "contributor-b": ["contributor-a"],
+  "ada-dev": ["demo-user", "kai-data", "lin-ops"],
+  "lin-ops": ["demo-user", "ada-dev"],
+  "sam-writes": ["demo-user"],
+  "kai-data": ["demo-user", "sam-writes"],
+  "octo-maintainer": []
+};
+
+const networkUser = (login) => ({ login, id: 9000000 + login.length, avatar_url: demoUser.avatar_url, type: "User" });
+
+const followLists = (login) => ({
+  following: (DEMO_FOLLOWS[login] || []).map(networkUser),
+  followers: Object.keys(DEMO_FOLLOWS).filter(other => DEMO_FOLLOWS[other].includes(login)).map(networkUser)
+});
+
+// Small deterministic numbers so generated statistics look the same on every run
+const pseudoRandom = (seed, i) => ((seed * 9301 + i * 49297) % 233280) / 233280;
+
+const contributorStats = (repo) => {
+  // GitHub's statistics weeks start on Sunday, like the buckets they are sorted into
+  const thisWeek = startOfWeek(new Date()).getTime();
+  const active = Date.now() - Date.parse(repo.pushed_at) < 180 * 24 * 60 * 60 * 1000;
+  return [{
+    author: { login: repo.owner.login, avatar_url: demoUser.avatar_url },
+    total: 0,
+    weeks: Array.from({ length: 52 }, (_, i) => ({
+      w: (thisWeek - (51 - i) * WEEK_MS) / 1000,
+      c: active ? Math.floor(pseudoRandom(repo.id, i) * 6) : 0,
+      a: 0,
+      d: 0
+    }))
+  }];
+};
+
+// Busier on weekday working hours, quiet otherwise
+const punchCard = (repo) => Array.from({ length: 7 * 24 }, (_, i) => {
+  const day = Math.floor(i / 24);
+  const hour = i % 24;
+  const workingHours = day > 0 && day < 6 && hour >= 9 && hour < 19;
+  return [day, hour, Math.floor(pseudoRandom(repo.id, i) * (workingHours ? 8 : 2))];
+});
+
+const repoLanguages = (repo) => {
+  if (!repo.language) return {};
+  const bytes = repo.size * 1024;
+  return repo.language === "HTML"
+    ? { HTML: Math.round(bytes * 0.7), CSS: Math.round(bytes * 0.3) }
+    : { [repo.language]: Math.round(bytes * 0.9), Shell: Math.round(bytes * 0.1) };
+};
+
+// Stargazers spread evenly between the repository's creation and its last update
+const stargazers = (repo) => {
+  const start = Date.parse(repo.created_at);
+  const span = Date.parse(repo.updated_at) - start;
+  return Array.from({ length: repo.stargazers_count }, (_, i) => ({
+    starred_at: new Date(start + (span * (i + 1)) / (repo.stargazers_count + 1)).toISOString(),
+    user: { login: `stargazer-${i + 1}` }
+  }));
+};
+
+// Enough of the search syntax for the queries the dashboard sends. reviewed-by:X is
+// approximated as pull requests to X's repositories by someone else.
+const searchFixtureIssues = (issues, query) => query.split(/\s+/).filter(Boolean).reduce((items, term) => {
+  const negated = term.startsWith("-");
+  const [qualifier, value] = term.replace(/^-/, "").split(":");
+  const repoName = item => item.repository_url.split("/repos/")[1].toLowerCase();
+  const matches = {
+    type: item => (value === "pr") === Boolean(item.pull_request),
+    state: item => item.state === value,
+    is: item => value !== "merged" || Boolean(item.pull_request?.merged_at),
+    author: item => item.user.login.toLowerCase() === value.toLowerCase(),
+    "reviewed-by": item => Boolean(item.pull_request) && repoName(item).startsWith(`${value.toLowerCase()}/`),
+    repo: item => repoName(item) === value.toLowerCase()
+  }[qualifier];
+  if (!matches) return items;
+  return items.filter(item => matches(item) !== negated);
+}, issues);
+
+const routeRepo = (config, url, repo, rest) => {
+  if (!repo) return notFound(config);
+  const owner = { login: repo.owner.login, avatar_url: demoUser.avatar_url, html_url: `https://github.com/${repo.owner.login}` };
+  switch (rest) {
+    case "languages":
+      return respond(config, 200, repoLanguages(repo));
+    case "contributors":
+      return respond(config, 200, [
+        { ...owner, contributions: Math.round(repo.size / 40) + 1 },
+        ...(repo.stargazers_count >= 50
+          ? [{ ...networkUser("contributor-a"), contributions: 24 }, { ...networkUser("contributor-b"), contributions: 7 }]
+          : [])
+      ]);
+    case "stats/contributors":
+      return respond(config, 200, contributorStats(repo));
+    case "stats/punch_card":
+      return respond(config, 200, punchCard(repo));
+    case "stats/commit_activity":
+      return respond(config, 200, contributorStats(repo)[0].weeks.map(week => ({ week: week.w, total: week.c, days: [] })));
+    case "releases":
+      return respond(config, 200, repo.stargazers_count >= 50
+        ? [{ id: repo.id, name: `${repo.name} 1.0`, tag_name: "v1.0.0", prerelease: false, html_url: `${repo.html_url}/releases/tag/v1.0.0`, published_at: repo.pushed_at }]
+        : []);
+    case "readme":
+      return repo.description
+        ? respond(config, 200, `# ${repo.name}\n\n${repo.description}.\n\nThis repository is part of the offline demo data.`)
+        : notFound(config);
+    case "stargazers":
+      return respondWithPage(config, url, stargazers(repo));
+    case "issues":
+    case "pulls": {
+      const state = url.searchParams.get("state") || "open";
+      const query = `repo:${repo.full_name} ${rest === "pulls" ? "type:pr" : ""} ${state === "all" ? "" : `state:${state}`}`;
+      return respondWithPage(config, url, searchFixtureIssues(demoIssues, query));
+    }
+    default:
+      return notFound(config);
+  }
+};
+
+// axios adapter that serves GET requests from the bundled fixtures instead of the network
+export const demoAdapter = async (config) => {
+  const url = new URL(config.url);
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const login = parts[1]?.toLowerCase();
+
+  if (DEMO_ERROR_LOGINS[login] === "network failure") {
+    throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config, null);
+  }
+  if (DEMO_ERROR_LOGINS[login] === "403 rate limit") {
+    return respond(config, 403, { message: "API rate limit exceeded" }, rateLimitHeaders(0));
+  }
+
+  const offset = Date.now() - FIXTURE_RECORDED_AT;
+  const user = shiftDates(demoUser, offset);
+  const repos = shiftDates(demoRepos, offset);
+  const isDemoUser = login === user.login;
+
+  if (parts[0] === "rate_limit") {
+    return respond(config, 200, { resources: { core: { limit: DEMO_RATE_LIMIT, remaining: DEMO_RATE_LIMIT } } });
+  }
+  if (parts[0] === "search" && parts[1] === "issues") {
+    const items = searchFixtureIssues(shiftDates(demoIssues, offset), url.searchParams.get("q") || "")
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return respondWithPage(config, url, items, page => ({ total_count: items.length, incomplete_results: false, items: page }));
+  }
+  if (parts[0] === "repos") {
+    const repo = repos.find(candidate => candidate.full_name.toLowerCase() === `${login}/${parts[2]?.toLowerCase()}`);
+    return routeRepo(config, url, repo, parts.slice(3).join("/"));
+  }
+  if (parts[0] === "gists") {
+    const gist = demoGists.find(candidate => candidate.id === parts[1]);
+    return gist ? respond(config, 200, shiftDates(gist, offset)) : notFound(config);
+  }
+  if (parts[0] === "users" && DEMO_FOLLOWS[login] && (parts[2] === "followers" || parts[2] === "following")) {
+    return respondWithPage(config, url, followLists(login)[parts[2]]);
+  }
+  if (parts[0] !== "users" || !isDemoUser) return notFound(config);
+
+  switch (parts[2]) {
+    case undefined:
+      return respond(config, 200, user);
+    case "repos":
+      return respondWithPage(config, url, repos);
+    case "events":
+      return respondWithPage(config, url, shiftDates(demoEvents, offset));
+    case "gists": {
+      // Like the real list, file contents are left out until a single gist is requested
+      const gists = shiftDates(demoGists, offset).map(gist => ({
+        ...gist,
+        files: Object.fromEntries(Object.entries(gist.files).map(([name, file]) => [name, { ...file, content: undefined }]))
+      }));
+      return respondWithPage(config, url, gists);
+    }
+    case "starred": {
+      // Only the star+json media type wraps each repository with its starred_at time
+      const starred = shiftDates(demoStarred, offset);
+      const withDates = String(config.headers?.Accept || "").includes("star+json");
+      return respondWithPage(config, url, withDates ? starred : starred.map(star => star.repo));
+    }
+    default:
+      return notFound(config);
+  }
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import axios from "axios";
+import { demoAdapter } from "./demo";
+import { getNextPageUrl, getRateLimitMessage } from "./client";
+import { buildActivityBuckets } from "../lib/activity";
+
+const api = axios.create({ adapter: demoAdapter });
+const API = "https://api.github.com";
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("demoAdapter", () => {
+  it("serves the fixture profile with quota headers", async () => {
+    const res = await api.get(`${API}/users/Demo-User`);
+    expect(res.status).toBe(200);
+    expect(res.data.login).toBe("demo-user");
+    expect(res.headers["x-ratelimit-remaining"]).toBe("60");
+  });
+
+  it("pages lists with Link headers", async () => {
+    const first = await api.get(`${API}/users/demo-user/repos?per_page=5&sort=updated`);
+    expect(first.data).toHaveLength(5);
+    const next = getNextPageUrl(first.headers.link);
+    expect(next).toBe(`${API}/users/demo-user/repos?per_page=5&sort=updated&page=2`);
+
+    const second = await api.get(next);
+    expect(second.data.map(repo => repo.name)).toEqual(["project-template", "data-notebooks", "notes"]);
+    expect(second.headers.link).toBeUndefined();
+  });
+
+  it("moves fixture dates forward to the current time", async () => {
+    vi.setSystemTime(new Date("2025-06-22T12:00:00Z"));
+    const res = await api.get(`${API}/users/demo-user/events?per_page=100`);
+    expect(res.data[0].created_at).toBe("2025-06-21T21:00:00Z");
+  });
+
+  it("answers the search queries behind the Issues & PRs tab", async () => {
+    const q = (query) => api.get(`${API}/search/issues?q=${encodeURIComponent(query)}&per_page=100`).then(res => res.data);
+    expect((await q("type:pr author:demo-user")).total_count).toBe(4);
+    expect((await q("type:pr author:demo-user is:merged")).total_count).toBe(2);
+    expect((await q("type:pr reviewed-by:demo-user -author:demo-user")).items.map(item => item.number)).toEqual([18, 17]);
+    expect((await q("repo:demo-user/insights-cli type:issue state:open")).total_count).toBe(1);
+  });
+
+  it("generates stargazers that add up to the star count", async () => {
+    const res = await api.get(`${API}/repos/demo-user/old-blog/stargazers?per_page=100&page=1`);
+    expect(res.data).toHaveLength(10);
+    expect(Date.parse(res.data[0].starred_at)).toBeLessThan(Date.parse(res.data[9].starred_at));
+  });
+
+  it("generates commit weeks that land in the activity chart", async () => {
+    const res = await api.get(`${API}/repos/demo-user/insights-cli/stats/contributors`);
+    const buckets = buildActivityBuckets([], res.data[0].weeks);
+    expect(buckets.reduce((sum, bucket) => sum + bucket.commits, 0)).toBeGreaterThan(0);
+  });
+
+  it("serves follow lists for the network graph", async () => {
+    const followers = await api.get(`${API}/users/demo-user/followers?per_page=30`);
+    expect(followers.data.map(user => user.login)).toEqual(["contributor-a", "ada-dev", "lin-ops", "sam-writes", "kai-data"]);
+    const following = await api.get(`${API}/users/ada-dev/following?per_page=30`);
+    expect(following.data.map(user => user.login)).toEqual(["demo-user", "kai-data", "lin-ops"]);
+  });
+
+  it("adds starred_at to starred repositories only for the star media type", async () => {
+    const plain = await api.get(`${API}/users/demo-user/starred?per_page=100`);
+    expect(plain.data[0].full_name).toBe("facebook/react");
+    const withDates = await api.get(`${API}/users/demo-user/starred?per_page=100`, {
+      headers: { Accept: "application/vnd.github.star+json" }
+    });
+    expect(withDates.data[0]).toMatchObject({ starred_at: "2025-06-11T16:20:00Z", repo: { name: "react" } });
+  });
+
+  it("serves gists with file contents only for a single gist", async () => {
+    const list = await api.get(`${API}/users/demo-user/gists?per_page=100`);
+    expect(list.data).toHaveLength(3);
+    expect(list.data[0].files["debounce.js"].content).toBeUndefined();
+
+    const gist = await api.get(`${API}/gists/${list.data[0].id}`);
+    expect(gist.data.files["debounce.js"].content).toContain("export const debounce");
+    await expect(api.get(`${API}/gists/missing`)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  it("fails with a 404 for unknown accounts and repositories", async () => {
+    await expect(api.get(`${API}/users/nobody`)).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(api.get(`${API}/orgs/demo-user`)).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(api.get(`${API}/repos/demo-user/missing/languages`)).rejects.toMatchObject({ response: { status: 404 } });
+  });
+
+  it("simulates an exhausted rate limit", async () => {
+    const error = await api.get(`${API}/users/rate-limited`).catch(failure => failure);
+    expect(error.response.status).toBe(403);
+    expect(getRateLimitMessage(error)).toMatch(/^GitHub API rate limit reached/);
+  });
+
+  it("simulates a network failure", async () => {
+    const error = await api.get(`${API}/users/offline/repos`).catch(failure => failure);
+    expect(error.code).toBe("ERR_NETWORK");
+    expect(error.response).toBeUndefined();
+  });
+});
@@ -0,0 +1,464 @@
+import { github, fetchAllPages, getNextPageUrl, getLastPage, getRateLimitMessage, apiUrl, graphqlUrl, hasToken } from "./client";
+import { getCachedResponse } from "./cache";
+import { readDemoSettings } from "./demo";
+import { buildActivityBuckets } from "../lib/activity";
+import { getCalendarRange } from "../lib/calendar";
+import { toDateKey } from "../lib/dates";
+import { buildIssueAnalytics } from "../lib/issues";
+import { getTopStarredRepos } from "../lib/starHistory";
+import { NETWORK_PAGE_SIZE, NETWORK_EXPAND_LIMIT, getNetworkRepos, buildNetworkGraph } from "../lib/network";
+
+const ACTIVITY_REPO_LIMIT = 10;
+const PUNCH_CARD_REPO_LIMIT = 10;
+const EVENTS_MAX_PAGES = 3;
+
+// Repository statistics endpoints answer 202 with no body while GitHub is still computing
+// them; those come back as { pending: true } and the rest as { pending: false, data }
+const getStats = async (url) => {
+  const res = await github.get(url);
+  if (res.status === 202) return { pending: true };
+  return { pending: false, data: Array.isArray(res.data) ? res.data : [] };
+};
+
+// The events feed only covers the last 90 days and at most 300 events
+export const fetchPublicEvents = async (login, isOrg) => {
+  try {
+    const { items } = await fetchAllPages(
+      apiUrl(`/${isOrg ? "orgs" : "users"}/${login}/events?per_page=100`),
+      { maxPages: EVENTS_MAX_PAGES }
+    );
+    return { ok: true, events: items };
+  } catch (error) {
+    console.error("Error fetching events:", error);
+    return { ok: false, events: [] };
+  }
+};
+
+// Profile, every repository page and, for organizations, public members, requested in parallel.
+// Progress has no total until the profile (and its public_repos count) arrives.
+export const loadProfile = async (basePath, isOrg, { fromCache = false, onProgress, signal } = {}) => {
+  let loaded = 0;
+  let total = null;
+  const reportProgress = () => onProgress?.({ loaded, total });
+
+  const userRequest = (fromCache ? getCachedResponse(basePath) : github.get(basePath, { signal }))
+    .then(res => {
+      total = res.data.public_repos;
+      reportProgress();
+      return res;
+    });
+
+  const reposRequest = fetchAllPages(`${basePath}/repos?per_page=100&sort=updated`, {
+    fromCache,
+    signal,
+    onPage: (page) => {
+      loaded = page.loaded;
+      reportProgress();
+    }
+  });
+
+  const membersRequest = isOrg
+    ? fetchAllPages(`${basePath}/public_members?per_page=100`, { fromCache, signal })
+      .then(({ items }) => items)
+      .catch(error => {
+        if (!fromCache && !signal?.aborted) console.error("Error fetching members:", error);
+        return [];
+      })
+    : Promise.resolve([]);
+
+  const [userRes, repoPages, members] = await Promise.all([userRequest, reposRequest, membersRequest]);
+
+  return {
+    profile: userRes.data,
+    repos: repoPages.items,
+    complete: repoPages.complete,
+    members,
+    notModified: userRes.status === 304 && repoPages.notModified,
+    fetchedAt: Math.min(userRes.fetchedAt || Date.now(), repoPages.fetchedAt)
+  };
+};
+
+// Repository statistics are requested per repo, so only the most recently pushed ones are used
+const getStatsRepos = (profileRepos, limit) => profileRepos
+  .filter(repo => !repo.fork && repo.size > 0)
+  .sort((a, b) => new Date(b.pushed_at) - new Date(a.pushed_at))
+  .slice(0, limit);
+
+// Weekly activity for a profile: its public events plus commits to its most recently pushed repos
+export const loadActivity = async (profile, profileRepos) => {
+  const login = profile.login;
+  const isOrg = profile.type === "Organization";
+
+  const eventsResult = await fetchPublicEvents(login, isOrg);
+
+  const statsRepos = getStatsRepos(profileRepos, ACTIVITY_REPO_LIMIT);
+
+  const statsResults = await Promise.allSettled(
+    statsRepos.map(repo => getStats(apiUrl(`/repos/${repo.full_name}/stats/contributors`)))
+  );
+
+  const commitWeeks = [];
+  let commitRepos = 0;
+  let pendingRepos = 0;
+  let failedRepos = 0;
+
+  statsResults.forEach(result => {
+    if (result.status === "rejected") {
+      failedRepos++;
+      return;
+    }
+    if (result.value.pending) {
+      pendingRepos++;
+      return;
+    }
+    commitRepos++;
+    // An organization's activity is everyone's commits; a user's is their own
+    result.value.data
+      .filter(c => isOrg || c.author?.login?.toLowerCase() === login.toLowerCase())
+      .forEach(c => commitWeeks.push(...c.weeks));
+  });
+
+  // The events also feed the contribution calendar when GitHub's own isn't available
+  const events = eventsResult.ok ? eventsResult.events : null;
+
+  if (!eventsResult.ok && commitRepos === 0) {
+    return { data: [], events, meta: { status: "unavailable", pendingRepos, failedRepos } };
+  }
+
+  return {
+    data: buildActivityBuckets(eventsResult.events, commitWeeks),
+    events,
+    meta: {
+      status: "ready",
+      eventsOk: eventsResult.ok,
+      eventCount: eventsResult.events.length,
+      commitRepos,
+      pendingRepos,
+      failedRepos
+    }
+  };
+};
+
+// Commits by weekday and hour for the most recently pushed repos
+export const loadPunchCards = async (profileRepos) => {
+  const statsRepos = getStatsRepos(profileRepos, PUNCH_CARD_REPO_LIMIT);
+  const results = await Promise.allSettled(
+    statsRepos.map(repo => getStats(apiUrl(`/repos/${repo.full_name}/stats/punch_card`)))
+  );
+
+  const cards = [];
+  let pendingRepos = 0;
+  const failures = [];
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      failures.push(result.reason);
+      return;
+    }
+    if (result.value.pending) {
+      pendingRepos++;
+      return;
+    }
+    cards.push({ name: statsRepos[i].name, rows: result.value.data });
+  });
+
+  return { cards, pendingRepos, failedRepos: failures.length, failures };
+};
+
+// One user's profile, repositories and activity for the compare view
+export const loadComparisonEntry = async (name, { signal } = {}) => {
+  const [userRes, { items: repos, complete }] = await Promise.all([
+    github.get(apiUrl(`/users/${name}`), { signal }),
+    fetchAllPages(apiUrl(`/users/${name}/repos?per_page=100&sort=updated`), { signal })
+  ]);
+  const activity = await loadActivity(userRes.data, repos);
+  return { profile: userRes.data, repos, complete, activity };
+};
+
+const CONTRIBUTION_CALENDAR_QUERY = `
+  query($login: String!, $from: DateTime!, $to: DateTime!) {
+    user(login: $login) {
+      contributionsCollection(from: $from, to: $to) {
+        contributionYears
+        contributionCalendar {
+          weeks { contributionDays { date contributionCount } }
+        }
+      }
+    }
+  }
+`;
+
+// Signed-in lookups of users outside demo mode can read GitHub's own contribution calendar
+// over GraphQL; otherwise the public events feed is the only daily source
+export const hasContributionCalendar = (profile) =>
+  hasToken() && !readDemoSettings().enabled && profile.type !== "Organization";
+
+// Daily counts for the calendar, from GraphQL or from the public events loadActivity
+// already fetched (null when the feed failed)
+export const loadContributionCalendar = async (profile, year, events) => {
+  const { from, to } = getCalendarRange(year);
+  const counts = new Map();
+
+  if (hasContributionCalendar(profile)) {
+    const res = await github.post(graphqlUrl(), {
+      query: CONTRIBUTION_CALENDAR_QUERY,
+      variables: { login: profile.login, from: from.toISOString(), to: to.toISOString() }
+    });
+    if (res.data.errors?.length) throw new Error(res.data.errors[0].message);
+
+    const collection = res.data.data.user.contributionsCollection;
+    collection.contributionCalendar.weeks.forEach(week => {
+      week.contributionDays.forEach(day => counts.set(day.date, day.contributionCount));
+    });
+    return { source: "contributions", from, to, counts, years: collection.contributionYears };
+  }
+
+  if (!events) throw new Error("Public events could not be loaded");
+  events.forEach(event => {
+    const key = toDateKey(event.created_at);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return { source: "events", from, to, counts, years: [] };
+};
+
+// Everything the repository detail view shows; sections that fail come back as null
+export const loadRepoDetail = async (repo) => {
+  const base = apiUrl(`/repos/${repo.full_name}`);
+  // Counted from the list endpoints rather than search, which allows only 10 requests a minute
+  // without a token: with one item per page, the last page number is the number of items.
+  const countItems = (path) => github
+    .get(`${base}/${path}&per_page=1`)
+    .then(res => getLastPage(res.headers.link) ?? res.data.length);
+
+  const results = await Promise.allSettled([
+    github.get(`${base}/languages`),
+    github.get(`${base}/contributors?per_page=10`),
+    getStats(`${base}/stats/commit_activity`),
+    github.get(`${base}/releases?per_page=5`),
+    // The issues list includes pull requests, like open_issues_count does
+    countItems("issues?state=closed"),
+    countItems("pulls?state=open"),
+    countItems("pulls?state=closed"),
+    github.get(`${base}/readme`, { headers: { Accept: "application/vnd.github.raw" } })
+  ]);
+
+  const failures = results.filter(result => result.status === "rejected");
+  if (failures.length === results.length) throw failures[0].reason;
+
+  const value = (i) => results[i].status === "fulfilled" ? results[i].value : null;
+  const [languagesRes, contributorsRes, activityStats, releasesRes] = [0, 1, 2, 3].map(value);
+  const [closedIssuesAndPulls, openPulls, closedPulls] = [4, 5, 6].map(value);
+  const readmeRes = value(7);
+
+  const languageBytes = languagesRes ? Object.entries(languagesRes.data) : null;
+  const totalBytes = languageBytes?.reduce((sum, [, bytes]) => sum + bytes, 0) || 0;
+
+  return {
+    languages: languageBytes && languageBytes
+      .map(([name, bytes]) => ({ name, bytes, percent: totalBytes ? (bytes / totalBytes) * 100 : 0 }))
+      .sort((a, b) => b.bytes - a.bytes),
+    contributors: contributorsRes && (Array.isArray(contributorsRes.data) ? contributorsRes.data : []),
+    commitActivityPending: Boolean(activityStats?.pending),
+    commitActivity: activityStats && !activityStats.pending
+      ? activityStats.data.map(week => ({
+        week: new Date(week.week * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        commits: week.total
+      }))
+      : null,
+    releases: releasesRes && releasesRes.data,
+    issues: closedIssuesAndPulls !== null && openPulls !== null && closedPulls !== null
+      ? { open: Math.max(repo.open_issues_count - openPulls, 0), closed: Math.max(closedIssuesAndPulls - closedPulls, 0) }
+      : null,
+    pulls: openPulls !== null && closedPulls !== null
+      ? { open: openPulls, closed: closedPulls }
+      : null,
+    // A missing README is a 404, which is not a failure worth reporting
+    readme: readmeRes ? readmeRes.data : "",
+    readmeFailed: !readmeRes && results[7].reason?.response?.status !== 404
+  };
+};
+
+const LANGUAGE_FETCH_CONCURRENCY = 6;
+
+// Run fn over items with at most `limit` requests in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { status: "fulfilled", value: await fn(items[i], i) };
+      } catch (error) {
+        results[i] = { status: "rejected", reason: error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Sum /languages byte counts across every repository. An abort or the first rate-limit error
+// stops the requests that haven't started and is thrown; every later request would fail too.
+export const loadLanguageBytes = async (repoList, { signal, onProgress } = {}) => {
+  let loaded = 0;
+  let stopError = null;
+  const results = await mapWithConcurrency(repoList, LANGUAGE_FETCH_CONCURRENCY, async (repo) => {
+    if (stopError) throw stopError;
+    try {
+      const res = await github.get(apiUrl(`/repos/${repo.full_name}/languages`), { signal });
+      onProgress?.(++loaded);
+      return res.data;
+    } catch (error) {
+      if (signal?.aborted || getRateLimitMessage(error)) stopError = stopError || error;
+      throw error;
+    }
+  });
+  if (stopError) throw stopError;
+
+  const totals = {};
+  let failed = 0;
+  results.forEach(result => {
+    if (result.status === "rejected") {
+      failed++;
+      return;
+    }
+    Object.entries(result.value).forEach(([name, bytes]) => {
+      totals[name] = (totals[name] || 0) + bytes;
+    });
+  });
+  return { totals, failed };
+};
+
+const STAR_HISTORY_MAX_PAGES = 5;
+// GitHub stops paginating stargazers after 400 pages
+const STARGAZER_PAGE_LIMIT = 400;
+
+// The most requests the Stats tab's star history and punch cards take, to ask before
+// spending them without a token
+export const estimateStatsRequests = (profileRepos) =>
+  getTopStarredRepos(profileRepos).reduce((sum, repo) =>
+    sum + Math.min(Math.ceil(repo.stargazers_count / 100), STAR_HISTORY_MAX_PAGES), 0)
+  + getStatsRepos(profileRepos, PUNCH_CARD_REPO_LIMIT).length;
+
+// Cumulative star counts over time from stargazers' starred_at timestamps. Repos with
+// more pages than STAR_HISTORY_MAX_PAGES are sampled at evenly spaced pages instead.
+export const loadStarHistory = async (repo) => {
+  const totalPages = Math.min(Math.ceil(repo.stargazers_count / 100), STARGAZER_PAGE_LIMIT);
+  const sampled = totalPages > STAR_HISTORY_MAX_PAGES;
+  const pages = sampled
+    ? Array.from({ length: STAR_HISTORY_MAX_PAGES }, (_, i) =>
+      Math.round(1 + (i * (totalPages - 1)) / (STAR_HISTORY_MAX_PAGES - 1)))
+    : Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  const responses = await Promise.all(pages.map(page => github.get(
+    apiUrl(`/repos/${repo.full_name}/stargazers?per_page=100&page=${page}`),
+    { headers: { Accept: "application/vnd.github.star+json" } }
+  )));
+
+  const points = [];
+  responses.forEach((res, i) => {
+    const offset = (pages[i] - 1) * 100;
+    const stars = sampled ? res.data.slice(0, 1) : res.data;
+    stars.forEach((star, j) => points.push({ time: Date.parse(star.starred_at), stars: offset + j + 1 }));
+  });
+  points.sort((a, b) => a.time - b.time);
+  points.push({ time: Date.now(), stars: repo.stargazers_count });
+
+  return { name: repo.name, points, sampled };
+};
+
+// 1,000 starred repositories; the list is newest star first, so a cut-off drops the oldest
+const STARRED_MAX_PAGES = 10;
+
+// Repositories a user has starred, each with the starred_at time the star+json media type adds
+export const loadStarred = async (login, onProgress) => {
+  const { items, complete } = await fetchAllPages(apiUrl(`/users/${login}/starred?per_page=100`), {
+    maxPages: STARRED_MAX_PAGES,
+    headers: { Accept: "application/vnd.github.star+json" },
+    onPage: onProgress
+  });
+  return { repos: items.map(({ starred_at, repo }) => ({ ...repo, starred_at })), complete };
+};
+
+const GISTS_MAX_PAGES = 5;
+
+// A user's gists, newest first. The list leaves out file contents; loadGist has them.
+export const loadGists = async (login, onProgress) => {
+  const { items, complete } = await fetchAllPages(apiUrl(`/users/${login}/gists?per_page=100`), {
+    maxPages: GISTS_MAX_PAGES,
+    onPage: onProgress
+  });
+  return { gists: items, complete };
+};
+
+// One gist with the content of each file; files over a megabyte come back truncated
+export const loadGist = async (id) => {
+  const res = await github.get(apiUrl(`/gists/${id}`));
+  return res.data;
+};
+
+const ISSUE_SEARCH_MAX_PAGES = 2;
+
+// One search API query, newest first, following Link headers for up to maxPages
+const searchIssues = async (query, maxPages, perPage = 100) => {
+  let nextUrl = apiUrl(`/search/issues?q=${encodeURIComponent(query)}&sort=created&order=desc&per_page=${perPage}`);
+  const items = [];
+  let totalCount = 0;
+  for (let page = 0; nextUrl && page < maxPages; page++) {
+    const res = await github.get(nextUrl);
+    if (page === 0) totalCount = res.data.total_count;
+    items.push(...res.data.items);
+    nextUrl = getNextPageUrl(res.headers.link);
+  }
+  return { items, totalCount };
+};
+
+// Search API queries behind the Issues & PRs tab
+export const loadIssueAnalytics = async (login) => {
+  const [prs, issues, merged, reviewed] = await Promise.all([
+    searchIssues(`type:pr author:${login}`, ISSUE_SEARCH_MAX_PAGES),
+    searchIssues(`type:issue author:${login}`, ISSUE_SEARCH_MAX_PAGES),
+    searchIssues(`type:pr author:${login} is:merged`, 1, 1),
+    searchIssues(`type:pr reviewed-by:${login} -author:${login}`, 1)
+  ]);
+  return buildIssueAnalytics(login, { prs, issues, merged, reviewed });
+};
+
+// Followers, following and co-contributors around a user, optionally expanded one more level
+// through the strongest connections' following lists. Sections that fail are left out.
+export const loadNetwork = async (profile, profileRepos, { depth, maxNodes }) => {
+  const login = profile.login;
+  const networkRepos = getNetworkRepos(profileRepos);
+  const pageOf = (path) => github.get(apiUrl(`${path}?per_page=${NETWORK_PAGE_SIZE}`)).then(res => Array.isArray(res.data) ? res.data : []);
+
+  const [followers, following, ...contributorResults] = await Promise.allSettled([
+    pageOf(`/users/${login}/followers`),
+    pageOf(`/users/${login}/following`),
+    ...networkRepos.map(repo => pageOf(`/repos/${repo.full_name}/contributors`))
+  ]);
+  const firstResults = [followers, following, ...contributorResults];
+  const failures = firstResults.filter(result => result.status === "rejected").map(result => result.reason);
+  if (failures.length === firstResults.length) throw failures[0];
+
+  const value = (result) => result.status === "fulfilled" ? result.value : [];
+  const sources = {
+    followers: value(followers),
+    following: value(following),
+    contributors: contributorResults.map((result, i) => ({ repo: networkRepos[i].name, users: value(result) }))
+  };
+  let graph = buildNetworkGraph(profile, sources, { maxNodes });
+
+  if (depth > 1) {
+    const expandable = graph.nodes
+      .filter(node => node.depth === 1)
+      .slice(0, NETWORK_EXPAND_LIMIT);
+    const expansionResults = await Promise.allSettled(expandable.map(node => pageOf(`/users/${node.login}/following`)));
+    failures.push(...expansionResults.filter(result => result.status === "rejected").map(result => result.reason));
+    sources.expansions = expansionResults
+      .map((result, i) => result.status === "fulfilled" ? { login: expandable[i].login, following: result.value } : null)
+      .filter(Boolean);
+    graph = buildNetworkGraph(profile, sources, { maxNodes });
+  }
+
+  return { ...graph, repos: networkRepos.map(repo => repo.name), failures };
+};
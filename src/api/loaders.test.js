@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { github } from "./client";
+import { loadLanguageBytes, loadPunchCards, loadContributionCalendar, loadRepoDetail, estimateStatsRequests } from "./loaders";
+
+const repos = Array.from({ length: 20 }, (_, i) => ({ full_name: `octocat/repo-${i}` }));
+const rateLimited = { response: { status: 403, headers: { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1750000000" } } };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("loadLanguageBytes", () => {
+  it("sums bytes and counts failed repositories", async () => {
+    vi.spyOn(github, "get").mockImplementation(async (url) => {
+      if (url.includes("repo-3/")) throw { response: { status: 404, headers: {} } };
+      return { data: { JavaScript: 100, CSS: 10 } };
+    });
+    const progress = vi.fn();
+    const { totals, failed } = await loadLanguageBytes(repos, { onProgress: progress });
+    expect(totals).toEqual({ JavaScript: 1900, CSS: 190 });
+    expect(failed).toBe(1);
+    expect(progress).toHaveBeenLastCalledWith(19);
+  });
+
+  it("stops sending requests after a rate limit error", async () => {
+    const get = vi.spyOn(github, "get").mockImplementation(async (url) => {
+      if (url.includes("repo-2/")) throw rateLimited;
+      return { data: { Go: 1 } };
+    });
+    await expect(loadLanguageBytes(repos)).rejects.toBe(rateLimited);
+    expect(get.mock.calls.length).toBeLessThan(10);
+  });
+
+  it("passes the abort signal to every request", async () => {
+    const controller = new AbortController();
+    const get = vi.spyOn(github, "get").mockResolvedValue({ data: {} });
+    await loadLanguageBytes(repos.slice(0, 2), { signal: controller.signal });
+    expect(get.mock.calls.every(([, config]) => config.signal === controller.signal)).toBe(true);
+  });
+});
+
+describe("loadPunchCards", () => {
+  it("counts repositories whose statistics are still being computed", async () => {
+    vi.spyOn(github, "get").mockImplementation(async (url) => (
+      url.includes("repo-1/") ? { status: 202, data: {} } : { status: 200, data: [[0, 9, 3]] }
+    ));
+    const statsRepos = repos.slice(0, 3).map((repo, i) => ({ ...repo, name: `repo-${i}`, size: 10, pushed_at: `2025-06-0${i + 1}T00:00:00Z` }));
+    const { cards, pendingRepos, failedRepos } = await loadPunchCards(statsRepos);
+    expect(cards.map(card => card.name)).toEqual(["repo-2", "repo-0"]);
+    expect(cards[0].rows).toEqual([[0, 9, 3]]);
+    expect(pendingRepos).toBe(1);
+    expect(failedRepos).toBe(0);
+  });
+});
+
+describe("loadRepoDetail", () => {
+  it("counts issues and pull requests without the search API", async () => {
+    const lastPage = (page) => ({ data: [{}], headers: { link: `<https://api.github.com/repositories/1/items?per_page=1&page=${page}>; rel="last"` } });
+    const get = vi.spyOn(github, "get").mockImplementation(async (url) => {
+      if (url.includes("/issues?state=closed")) return lastPage(30);
+      if (url.includes("/pulls?state=open")) return { data: [{}], headers: {} };
+      if (url.includes("/pulls?state=closed")) return lastPage(12);
+      return { status: 200, data: [], headers: {} };
+    });
+    const detail = await loadRepoDetail({ full_name: "octocat/hello", open_issues_count: 5 });
+    expect(detail.issues).toEqual({ open: 4, closed: 18 });
+    expect(detail.pulls).toEqual({ open: 1, closed: 12 });
+    expect(get.mock.calls.some(([url]) => url.includes("/search/"))).toBe(false);
+  });
+});
+
+describe("estimateStatsRequests", () => {
+  it("counts capped stargazer pages plus one punch card per active repository", () => {
+    const statsRepos = [
+      { name: "big", stargazers_count: 5000, size: 10, pushed_at: "2025-06-01T00:00:00Z" },
+      { name: "small", stargazers_count: 150, size: 10, pushed_at: "2025-06-02T00:00:00Z" },
+      { name: "empty", stargazers_count: 0, size: 0, pushed_at: "2025-06-03T00:00:00Z" }
+    ];
+    expect(estimateStatsRequests(statsRepos)).toBe(5 + 2 + 2);
+  });
+});
+
+describe("loadContributionCalendar", () => {
+  it("counts the events it is given without requesting them again", async () => {
+    const get = vi.spyOn(github, "get");
+    const events = [{ created_at: new Date().toISOString() }, { created_at: new Date().toISOString() }];
+    const calendar = await loadContributionCalendar({ login: "octocat", type: "User" }, null, events);
+    expect(calendar.source).toBe("events");
+    expect([...calendar.counts.values()]).toEqual([2]);
+    expect(get).not.toHaveBeenCalled();
+    await expect(loadContributionCalendar({ login: "octocat", type: "User" }, null, null)).rejects.toThrow();
+  });
+});
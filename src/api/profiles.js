@@ -0,0 +1,73 @@
+export const PROFILES_STORAGE_KEY = "github-insights-profiles";
+export const ACTIVE_PROFILE_STORAGE_KEY = "github-insights-active-profile";
+// Tokens were saved on their own before profiles existed
+const LEGACY_TOKEN_STORAGE_KEY = "github-insights-token";
+
+export const GITHUB_API_URL = "https://api.github.com";
+
+export const DEFAULT_PROFILE = {
+  id: "github",
+  name: "GitHub.com",
+  apiUrl: GITHUB_API_URL,
+  webUrl: "https://github.com",
+  token: ""
+};
+
+// GitHub Enterprise Server serves the REST API from https://HOST/api/v3
+export const deriveWebUrl = (apiUrl) => {
+  const url = apiUrl.replace(/\/+$/, "");
+  if (url === GITHUB_API_URL) return DEFAULT_PROFILE.webUrl;
+  return url.replace(/\/api\/v3$/, "");
+};
+
+// GitHub Enterprise Server serves GraphQL from https://HOST/api/graphql
+export const getGraphqlUrl = (apiUrl) => {
+  const url = apiUrl.replace(/\/+$/, "");
+  return /\/api\/v3$/.test(url) ? url.replace(/\/v3$/, "/graphql") : `${url}/graphql`;
+};
+
+// Trim what was typed into the settings form; a blank web URL is derived from the API URL
+export const normalizeProfile = (profile) => {
+  const apiUrl = profile.apiUrl.trim().replace(/\/+$/, "");
+  return {
+    ...profile,
+    name: profile.name.trim() || new URL(apiUrl).host,
+    apiUrl,
+    webUrl: profile.webUrl.trim().replace(/\/+$/, "") || deriveWebUrl(apiUrl),
+    token: profile.token.trim()
+  };
+};
+
+export const isValidApiUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value.trim()).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export const readProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+    return [{ ...DEFAULT_PROFILE, token: localStorage.getItem(LEGACY_TOKEN_STORAGE_KEY) || "" }];
+  } catch {
+    return [DEFAULT_PROFILE];
+  }
+};
+
+export const readActiveProfileId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_PROFILE.id;
+  } catch {
+    return DEFAULT_PROFILE.id;
+  }
+};
+
+export const findProfile = (profiles, id) => profiles.find(profile => profile.id === id) || profiles[0];
+
+export const saveProfiles = (profiles, activeId) => {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, activeId);
+  localStorage.removeItem(LEGACY_TOKEN_STORAGE_KEY);
+};
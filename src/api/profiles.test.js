@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { deriveWebUrl, getGraphqlUrl, normalizeProfile, isValidApiUrl, findProfile, DEFAULT_PROFILE } from "./profiles";
+
+describe("profile URLs", () => {
+  it("derives the web URL from the API URL", () => {
+    expect(deriveWebUrl("https://api.github.com/")).toBe("https://github.com");
+    expect(deriveWebUrl("https://github.example.com/api/v3")).toBe("https://github.example.com");
+  });
+
+  it("finds the GraphQL endpoint for github.com and Enterprise Server", () => {
+    expect(getGraphqlUrl("https://api.github.com")).toBe("https://api.github.com/graphql");
+    expect(getGraphqlUrl("https://github.example.com/api/v3/")).toBe("https://github.example.com/api/graphql");
+  });
+
+  it("only accepts http and https API URLs", () => {
+    expect(isValidApiUrl(" https://github.example.com/api/v3 ")).toBe(true);
+    expect(isValidApiUrl("github.example.com")).toBe(false);
+    expect(isValidApiUrl("ftp://github.example.com")).toBe(false);
+  });
+});
+
+describe("normalizeProfile", () => {
+  it("trims input and fills in the name and web URL", () => {
+    expect(normalizeProfile({ id: "x", name: " ", apiUrl: " https://github.example.com/api/v3/ ", webUrl: "", token: " ghp_1 " }))
+      .toEqual({ id: "x", name: "github.example.com", apiUrl: "https://github.example.com/api/v3", webUrl: "https://github.example.com", token: "ghp_1" });
+  });
+});
+
+describe("findProfile", () => {
+  it("falls back to the first profile for unknown ids", () => {
+    const work = { ...DEFAULT_PROFILE, id: "work" };
+    expect(findProfile([DEFAULT_PROFILE, work], "work")).toBe(work);
+    expect(findProfile([DEFAULT_PROFILE, work], "gone")).toBe(DEFAULT_PROFILE);
+  });
+});
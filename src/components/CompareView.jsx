@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { SERIES_COLORS } from "../theme";
+import { buildCompareSummary, buildCompareMetrics, buildCompareLanguages, buildCompareActivity } from "../lib/compare";
+import { containerVariants, itemVariants } from "./variants";
+
+const CompareView = ({ comparison, currentTheme, tooltipStyle }) => {
+  const [metric, setMetric] = useState("commits");
+
+  const summary = buildCompareSummary(comparison);
+  const metricsData = buildCompareMetrics(summary);
+  const languageData = buildCompareLanguages(comparison);
+  const activityData = buildCompareActivity(comparison, metric);
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      variants={containerVariants}
+    >
+      <motion.div variants={itemVariants} className="mb-8">
+        <h3 className="text-xl font-bold mb-4">Comparing {comparison.length} users</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {comparison.map(({ profile, complete }, i) => (
+            <div
+              key={profile.login}
+              className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} border-t-4`}
+              style={{ borderTopColor: SERIES_COLORS[i % SERIES_COLORS.length] }}
+            >
+              <div className="flex items-center mb-3">
+                <img src={profile.avatar_url} alt={profile.login} className="w-12 h-12 rounded-full mr-3" />
+                <div className="min-w-0">
+                  <a
+                    href={profile.html_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-bold truncate block hover:text-purple-400 transition-colors"
+                  >
+                    {profile.name || profile.login}
+                  </a>
+                  <p className={`text-sm ${currentTheme.textSecondary}`}>@{profile.login}</p>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2 text-sm">
+                <div><span className="font-bold">{summary[i].followers}</span> followers</div>
+                <div><span className="font-bold">{summary[i].repos}</span> repos</div>
+                <div><span className="font-bold">{summary[i].stars}</span> stars</div>
+                <div><span className="font-bold">{summary[i].forks}</span> forks</div>
+              </div>
+              {!complete && (
+                <p className="text-xs mt-2 text-yellow-400">
+                  Truncated: {summary[i].repos} of {profile.public_repos} repositories
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      </motion.div>
+
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Profile Stats</h3>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={metricsData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                <XAxis dataKey="metric" stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend />
+                {summary.map(({ login }, i) => (
+                  <Bar key={login} dataKey={login} fill={SERIES_COLORS[i % SERIES_COLORS.length]} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Top Languages (% of repositories with a language)</h3>
+          <div className="h-72">
+            {languageData.length > 0 ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={languageData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                  <XAxis dataKey="language" stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                  <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} unit="%" />
+                  <Tooltip contentStyle={tooltipStyle} formatter={(value) => `${value}%`} />
+                  <Legend />
+                  {summary.map(({ login }, i) => (
+                    <Bar key={login} dataKey={login} fill={SERIES_COLORS[i % SERIES_COLORS.length]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="text-center py-4">No language data available</p>
+            )}
+          </div>
+        </div>
+      </motion.div>
+
+      <motion.div variants={itemVariants}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold">Activity</h3>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className={`p-2 rounded-lg outline-none cursor-pointer border ${currentTheme.border} ${currentTheme.cardBg} ${currentTheme.text}`}
+          >
+            <option value="commits">Weekly commits</option>
+            <option value="events">Weekly public events</option>
+          </select>
+        </div>
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          {comparison.some(entry => entry.activity.meta.status !== "ready") && (
+            <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+              Activity data unavailable for: {comparison
+                .filter(entry => entry.activity.meta.status !== "ready")
+                .map(entry => entry.profile.login)
+                .join(", ")}
+            </p>
+          )}
+          <div className="h-72">
+            {activityData.length > 0 ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={activityData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                  <XAxis
+                    dataKey="date"
+                    stroke={currentTheme.textSecondary}
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={(value) => value.split(' ')[0]}
+                  />
+                  <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} allowDecimals={false} />
+                  <Tooltip contentStyle={tooltipStyle} labelFormatter={(value) => `Week of ${value}`} />
+                  <Legend />
+                  {comparison.map(({ profile, activity }, i) => activity.data.length > 0 && (
+                    <Line
+                      key={profile.login}
+                      type="monotone"
+                      dataKey={profile.login}
+                      stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="h-full flex items-center justify-center">
+                <p className={currentTheme.textSecondary}>Activity data unavailable</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default CompareView;
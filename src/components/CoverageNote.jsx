@@ -0,0 +1,16 @@
+import React from "react";
+
+// Tells the reader whether the repo-based numbers cover every repository
+const CoverageNote = ({ loaded, total, complete, darkMode }) => (
+  <span
+    className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium ${complete
+      ? (darkMode ? "bg-green-900/40 text-green-200" : "bg-green-100 text-green-700")
+      : (darkMode ? "bg-yellow-900/40 text-yellow-200" : "bg-yellow-100 text-yellow-700")}`}
+  >
+    {complete
+      ? `Complete: all ${loaded} repositories`
+      : `Truncated: ${loaded} of ${total} repositories`}
+  </span>
+);
+
+export default CoverageNote;
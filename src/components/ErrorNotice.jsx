@@ -0,0 +1,52 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { AlertCircle, SearchX, Gauge, KeyRound, WifiOff, Clock, ServerCrash, RefreshCw, Settings } from "lucide-react";
+
+const ERROR_ICONS = {
+  "not-found": SearchX,
+  "rate-limit": Gauge,
+  auth: KeyRound,
+  offline: WifiOff,
+  timeout: Clock,
+  server: ServerCrash
+};
+
+// Errors a second attempt can fix get a retry button; quota and token problems point to settings
+const RETRYABLE_KINDS = ["offline", "timeout", "server", "unknown"];
+const SETTINGS_KINDS = ["rate-limit", "auth"];
+
+const ErrorNotice = ({ error, darkMode, currentTheme, onRetry, onOpenSettings }) => {
+  const Icon = ERROR_ICONS[error.kind] || AlertCircle;
+
+  return (
+    <motion.div
+      className={`p-4 rounded-lg mb-6 ${darkMode ? "bg-red-900/30" : "bg-red-100"} border ${darkMode ? "border-red-800" : "border-red-200"} text-center`}
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0 }}
+    >
+      <p className={`flex items-center justify-center gap-2 ${darkMode ? "text-red-200" : "text-red-600"}`}>
+        <Icon size={18} className="flex-shrink-0" />
+        {error.message}
+      </p>
+      {error.retry && RETRYABLE_KINDS.includes(error.kind) && (
+        <button
+          onClick={onRetry}
+          className={`mt-3 inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium ${currentTheme.secondaryBg} hover:text-purple-400 transition-colors`}
+        >
+          <RefreshCw size={16} className="mr-2" /> Try again
+        </button>
+      )}
+      {SETTINGS_KINDS.includes(error.kind) && (
+        <button
+          onClick={onOpenSettings}
+          className={`mt-3 inline-flex items-center px-4 py-2 rounded-lg text-sm font-medium ${currentTheme.secondaryBg} hover:text-purple-400 transition-colors`}
+        >
+          <Settings size={16} className="mr-2" /> Open settings
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+export default ErrorNotice;
@@ -0,0 +1,55 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Star, Github } from "lucide-react";
+
+const Footer = ({ currentTheme }) => (
+  <motion.footer 
+    className={`mt-auto py-6 ${currentTheme.secondaryBg} border-t ${currentTheme.border}`}
+    initial={{ opacity: 0 }}
+    animate={{ opacity: 1 }}
+    transition={{ delay: 0.5 }}
+  >
+    <div className="max-w-6xl mx-auto px-6 flex flex-col md:flex-row justify-between items-center">
+      <div className="flex items-center mb-4 md:mb-0">
+        <Github size={20} className={`mr-2 ${currentTheme.textSecondary}`} />
+        <p className={`text-sm ${currentTheme.textSecondary}`}>
+          GitHub Insights Dashboard | 2025
+        </p>
+      </div>
+
+      <div className="flex items-center space-x-6">
+        <motion.a
+          href="https://github.com/Mahrukh-Adeel/GitHub-Insights-Dashboard/"
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
+          whileHover={{ scale: 1.1 }}
+        >
+          <Star size={18} className="mr-1" /> Star
+        </motion.a>
+
+        {/* <motion.a
+          href="https://buymeacoffee.com"
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
+          whileHover={{ scale: 1.1 }}
+        >
+          <Coffee size={18} className="mr-1" /> Support
+        </motion.a>
+
+        <motion.a
+          href="https://x.com"
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`${currentTheme.textSecondary} flex items-center hover:text-purple-400 transition-colors`}
+          whileHover={{ scale: 1.1 }}
+        >
+          <Heart size={18} className="mr-1" /> Follow
+        </motion.a> */}
+      </div>
+    </div>
+  </motion.footer>
+);
+
+export default Footer;
@@ -0,0 +1,33 @@
+import React from "react";
+import { highlightCode } from "../lib/highlight";
+import { getGistFiles } from "../lib/gists";
+import { formatBytes } from "../lib/format";
+
+// Every file of a loaded gist, highlighted when its language is one highlight.js was built with
+const GistPreview = ({ gist, darkMode, currentTheme }) => (
+  <div className="space-y-3">
+    {getGistFiles(gist).map(file => {
+      const html = file.content ? highlightCode(file.content, file.language) : null;
+      return (
+        <div key={file.filename} className={`rounded-lg overflow-hidden border ${currentTheme.border}`}>
+          <div className={`flex justify-between px-3 py-1.5 text-sm ${currentTheme.secondaryBg}`}>
+            <span className="font-mono">{file.filename}</span>
+            <span className={currentTheme.textSecondary}>{file.language} · {formatBytes(file.size)}</span>
+          </div>
+          <pre className={`code-preview ${darkMode ? "code-dark" : ""} p-3 overflow-x-auto max-h-96`}>
+            {html !== null
+              ? <code dangerouslySetInnerHTML={{ __html: html }} />
+              : <code>{file.content}</code>}
+          </pre>
+          {file.truncated && (
+            <a href={file.raw_url} target="_blank" rel="noopener noreferrer" className="block px-3 py-1.5 text-sm text-purple-400 underline">
+              This file is too large to show in full. View the raw file.
+            </a>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default GistPreview;
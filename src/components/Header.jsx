@@ -0,0 +1,92 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Sun, Moon, Github, Settings, Gauge, Bookmark, FlaskConical, Server } from "lucide-react";
+
+const Header = ({
+  currentTheme,
+  darkMode,
+  rateLimit,
+  demoMode,
+  profiles,
+  activeProfileId,
+  onProfileChange,
+  onToggleWatchlist,
+  onToggleSettings,
+  onToggleDarkMode
+}) => (
+  <motion.div 
+    className={`px-6 py-4 ${currentTheme.cardBg} shadow-lg flex justify-between items-center`}
+    initial={{ y: -50 }}
+    animate={{ y: 0 }}
+    transition={{ type: "spring", stiffness: 100 }}
+  >
+    <motion.h1 
+      className="text-2xl font-bold flex items-center"
+      whileHover={{ scale: 1.05 }}
+    >
+      <Github className="mr-2" /> GitHub Insights Dashboard
+    </motion.h1>
+    <div className="flex items-center gap-3">
+      {demoMode && (
+        <div
+          className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-amber-500/20 text-amber-400"
+          title="Responses come from demo fixtures or a mock server, not api.github.com"
+        >
+          <FlaskConical size={16} className="mr-1" />
+          Demo data
+        </div>
+      )}
+      {profiles.length > 1 && (
+        <label className={`flex items-center px-3 py-1 rounded-full text-sm ${currentTheme.secondaryBg}`} title="GitHub profile">
+          <Server size={16} className={`mr-1 ${currentTheme.textSecondary}`} />
+          <select
+            className={`bg-transparent outline-none ${currentTheme.text}`}
+            value={activeProfileId}
+            onChange={(e) => onProfileChange(e.target.value)}
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {rateLimit && (
+        <div
+          className={`hidden sm:flex items-center px-3 py-1 rounded-full text-sm ${currentTheme.secondaryBg} ${rateLimit.remaining === 0 ? "text-red-400" : currentTheme.textSecondary}`}
+          title={`Quota resets at ${rateLimit.reset.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`}
+        >
+          <Gauge size={16} className="mr-1" />
+          {rateLimit.remaining}/{rateLimit.limit}
+        </div>
+      )}
+      <motion.button 
+        onClick={onToggleWatchlist} 
+        className={`p-2 rounded-full ${currentTheme.secondaryBg} hover:${currentTheme.accent} transition-colors`}
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        title="Watchlist"
+      >
+        <Bookmark size={20} />
+      </motion.button>
+      <motion.button 
+        onClick={onToggleSettings} 
+        className={`p-2 rounded-full ${currentTheme.secondaryBg} hover:${currentTheme.accent} transition-colors`}
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        title="Settings"
+      >
+        <Settings size={20} />
+      </motion.button>
+      <motion.button 
+        onClick={onToggleDarkMode} 
+        className={`p-2 rounded-full ${currentTheme.secondaryBg} hover:${currentTheme.accent} transition-colors`}
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+      >
+        {darkMode ? <Sun size={20} /> : <Moon size={20} />}
+      </motion.button>
+    </div>
+  </motion.div>
+);
+
+export default Header;
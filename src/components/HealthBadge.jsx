@@ -0,0 +1,22 @@
+import React from "react";
+
+const HEALTH_BADGE_STYLES = {
+  good: "border-green-500/50 text-green-400",
+  fair: "border-yellow-500/50 text-yellow-400",
+  poor: "border-red-500/50 text-red-400"
+};
+
+// Score pill for a repository; the reasons behind the score show on hover
+const HealthBadge = ({ health }) => {
+  if (!health) return null;
+  return (
+    <span
+      className={`px-2 text-xs rounded-full border ${HEALTH_BADGE_STYLES[health.level]}`}
+      title={health.reasons.length > 0 ? health.reasons.join("\n") : "No problems found"}
+    >
+      Health {health.score}
+    </span>
+  );
+};
+
+export default HealthBadge;
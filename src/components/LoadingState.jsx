@@ -0,0 +1,11 @@
+import React from "react";
+
+// Spinner with a caption for a tab or panel whose data is still loading
+const LoadingState = ({ message, darkMode }) => (
+  <div className="flex flex-col items-center my-16">
+    <div className={`w-12 h-12 border-4 border-t-purple-500 rounded-full animate-spin ${darkMode ? "border-purple-800" : "border-purple-200"}`}></div>
+    <p className="mt-4">{message}</p>
+  </div>
+);
+
+export default LoadingState;
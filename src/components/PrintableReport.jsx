@@ -0,0 +1,175 @@
+import React, { useRef } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Legend } from "recharts";
+import { Download, Printer, X } from "lucide-react";
+import { theme, SERIES_COLORS } from "../theme";
+import { getActivityCounters } from "../lib/repoFilters";
+import { formatLanguageValue } from "../lib/languages";
+import { buildReportHtml, downloadFile } from "../lib/export";
+
+// Light, print-friendly summary of the profile; also saved as a standalone HTML file
+const PrintableReport = ({
+  userData,
+  isOrg,
+  members,
+  repos,
+  reposComplete,
+  languageMode,
+  languageStats,
+  activityMeta,
+  contributionData,
+  starHistory,
+  starTimelineData,
+  starTotalLabel,
+  starSelection,
+  onClose
+}) => {
+  const reportRef = useRef(null);
+  const activityCounters = getActivityCounters(repos);
+
+  const downloadReport = () => {
+    const title = `GitHub Insights Report - ${userData.login}`;
+    downloadFile(`${userData.login}-report.html`, buildReportHtml(reportRef.current, title), "text/html");
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto bg-gray-100">
+      <div className="no-print sticky top-0 flex justify-end gap-2 p-4 bg-white shadow">
+        <button
+          onClick={() => window.print()}
+          className="px-4 py-2 rounded-lg flex items-center bg-purple-500 hover:bg-purple-400 text-white font-medium"
+        >
+          <Printer size={16} className="mr-2" /> Print / Save as PDF
+        </button>
+        <button
+          onClick={downloadReport}
+          className="px-4 py-2 rounded-lg flex items-center bg-purple-100 text-purple-900 font-medium"
+        >
+          <Download size={16} className="mr-2" /> Download HTML
+        </button>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg flex items-center bg-purple-100 text-purple-900 font-medium"
+        >
+          <X size={16} className="mr-2" /> Close
+        </button>
+      </div>
+
+      <div id="print-report" ref={reportRef} className="max-w-3xl mx-auto my-8 p-8 bg-white text-gray-900 shadow">
+        <div className="flex items-center justify-between border-b border-purple-200 pb-4 mb-6">
+          <h1 className="text-2xl font-bold text-purple-900">GitHub Insights Report</h1>
+          <p className="text-sm text-gray-500">Generated {new Date().toLocaleString()}</p>
+        </div>
+
+        <section className="flex items-start gap-6 mb-8">
+          <img src={userData.avatar_url} alt="Avatar" className="w-24 h-24 rounded-full border-4 border-purple-500" />
+          <div className="flex-1">
+            <h2 className="text-xl font-bold">{userData.name || userData.login}</h2>
+            <p className="text-purple-700">@{userData.login}</p>
+            {(userData.bio || userData.description) && <p className="mt-2">{userData.bio || userData.description}</p>}
+            <div className="grid grid-cols-4 gap-4 mt-4 text-center">
+              {[
+                { label: "Repositories", value: userData.public_repos },
+                { label: "Followers", value: userData.followers },
+                isOrg
+                  ? { label: "Public Members", value: members.length }
+                  : { label: "Following", value: userData.following },
+                { label: "Joined GitHub", value: new Date(userData.created_at).getFullYear() }
+              ].map(({ label, value }) => (
+                <div key={label} className="p-2 rounded-lg bg-purple-50">
+                  <div className="font-bold">{value}</div>
+                  <div className="text-xs text-gray-500">{label}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+
+        {!reposComplete && (
+          <p className="mb-6 text-sm text-yellow-700">
+            Based on {repos.length} of {userData.public_repos} repositories; the list was truncated.
+          </p>
+        )}
+
+        <section className="grid grid-cols-2 gap-8 mb-8">
+          <div>
+            <h3 className="text-lg font-bold mb-3">
+              Top Languages ({languageMode === "bytes" ? "by bytes" : "by repositories"})
+            </h3>
+            {languageStats.length > 0 ? (
+              <div className="space-y-2">
+                {languageStats.map(lang => (
+                  <div key={lang.name}>
+                    <div className="flex justify-between text-sm mb-1">
+                      <span>{lang.name}</span>
+                      <span>{formatLanguageValue(lang, languageMode)} · {lang.percent.toFixed(1)}%</span>
+                    </div>
+                    <div className="w-full h-2 rounded-full bg-purple-100">
+                      <div
+                        className="h-full rounded-full"
+                        style={{ backgroundColor: lang.color, width: `${lang.percent}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm">No language data available</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-lg font-bold mb-3">Repository Activity</h3>
+            <div className="space-y-2">
+              {activityCounters.map(({ label, value }) => (
+                <div key={label} className="flex justify-between">
+                  <span>{label}</span>
+                  <span className="font-bold">{value}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+
+        <section className="mb-8">
+          <h3 className="text-lg font-bold mb-3">Activity Overview</h3>
+          {activityMeta.status === "ready" ? (
+            <LineChart width={680} height={240} data={contributionData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={theme.light.chartGrid} />
+              <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+              <YAxis tick={{ fontSize: 11 }} allowDecimals={false} />
+              <Legend />
+              <Line type="monotone" dataKey="commits" name="Commits" stroke={theme.light.chartLine} strokeWidth={2} dot={false} isAnimationActive={false} />
+              {activityMeta.eventsOk && (
+                <Line type="monotone" dataKey="events" name="Public events" stroke={theme.light.chartLineSecondary} strokeWidth={2} dot={false} isAnimationActive={false} />
+              )}
+            </LineChart>
+          ) : (
+            <p className="text-sm">Activity data unavailable</p>
+          )}
+        </section>
+
+        <section>
+          <h3 className="text-lg font-bold mb-3">Stars Over Time</h3>
+          {starTimelineData.length > 0 ? (
+            <LineChart width={680} height={260} data={starTimelineData} margin={{ top: 5, right: 20, left: 0, bottom: 25 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={theme.light.chartGrid} />
+              <XAxis dataKey="month" tick={{ fontSize: 11 }} angle={-45} textAnchor="end" />
+              <YAxis tick={{ fontSize: 11 }} allowDecimals={false} />
+              <Legend verticalAlign="top" />
+              <Line type="monotone" dataKey="total" name={starTotalLabel} stroke={theme.light.chartLineSecondary} strokeWidth={3} strokeDasharray="6 3" dot={false} isAnimationActive={false} />
+              {starHistory.histories.map((history, i) => starSelection.includes(history.name) && (
+                <Line key={history.name} type="monotone" dataKey={`repo${i}`} name={history.name} stroke={SERIES_COLORS[i % SERIES_COLORS.length]} strokeWidth={2} dot={false} isAnimationActive={false} />
+              ))}
+            </LineChart>
+          ) : (
+            <p className="text-sm">
+              {starHistory.status === "ready" ? "No star history available" : "Open the Statistics tab to load stargazer history."}
+            </p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default PrintableReport;
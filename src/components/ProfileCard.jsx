@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Calendar, Star, Code, Users, Building2, Clock, RefreshCw, Download, Bookmark, BookmarkCheck } from "lucide-react";
+import { itemVariants } from "./variants";
+
+const ProfileCard = ({
+  userData,
+  isOrg,
+  members,
+  webUrl,
+  currentTheme,
+  lastUpdated,
+  refreshing,
+  onRefresh,
+  watched,
+  onToggleWatch,
+  exportCount,
+  onExport,
+  onShowReport
+}) => {
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  const exportAs = (format) => {
+    onExport(format);
+    setShowExportMenu(false);
+  };
+
+  return (
+    <motion.div variants={itemVariants} className="mb-8">
+      <div className={`p-6 rounded-2xl shadow-lg ${currentTheme.cardBg} flex flex-col md:flex-row items-center md:items-start gap-6`}>
+        <motion.img 
+          src={userData.avatar_url} 
+          alt="Avatar" 
+          className="w-24 h-24 md:w-32 md:h-32 rounded-full border-4 border-purple-500 shadow-lg"
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          transition={{ delay: 0.2 }}
+        />
+
+        <div className="flex-1">
+          <div className="flex flex-col md:flex-row md:items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">{userData.name || userData.login}</h2>
+              <p className={`text-lg ${currentTheme.textSecondary}`}>@{userData.login}</p>
+              {lastUpdated && (
+                <div className={`flex items-center text-sm mt-1 ${currentTheme.textSecondary}`}>
+                  <Clock size={14} className="mr-1" />
+                  {refreshing
+                    ? "Refreshing..."
+                    : `Last updated ${lastUpdated.toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}`}
+                  <button
+                    onClick={onRefresh}
+                    disabled={refreshing}
+                    className="ml-2 p-1 rounded-full hover:text-purple-400 transition-colors"
+                    title="Refresh"
+                  >
+                    <RefreshCw size={14} className={refreshing ? "animate-spin" : ""} />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-2 mt-4 md:mt-0">
+              <motion.button
+                onClick={onToggleWatch}
+                className={`px-4 py-2 rounded-lg flex items-center font-medium ${currentTheme.secondaryBg} transition-colors`}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                title={watched ? "Stop tracking this account" : "Track this account's followers, repositories and stars"}
+              >
+                {watched
+                  ? <><BookmarkCheck size={16} className="mr-2" /> Watching</>
+                  : <><Bookmark size={16} className="mr-2" /> Watch</>}
+              </motion.button>
+              <div className="relative">
+                <motion.button
+                  onClick={() => setShowExportMenu(!showExportMenu)}
+                  className={`px-4 py-2 rounded-lg flex items-center font-medium ${currentTheme.secondaryBg} transition-colors`}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  <Download size={16} className="mr-2" /> Export
+                </motion.button>
+                <AnimatePresence>
+                  {showExportMenu && (
+                    <motion.div
+                      className={`absolute right-0 mt-2 w-64 rounded-lg shadow-lg z-10 border ${currentTheme.border} ${currentTheme.cardBg}`}
+                      initial={{ opacity: 0, y: -5 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -5 }}
+                    >
+                      <button
+                        onClick={() => exportAs("csv")}
+                        className={`w-full text-left px-4 py-2 hover:${currentTheme.secondaryBg}`}
+                      >
+                        Repositories as CSV ({exportCount})
+                      </button>
+                      <button
+                        onClick={() => exportAs("json")}
+                        className={`w-full text-left px-4 py-2 hover:${currentTheme.secondaryBg}`}
+                      >
+                        Repositories as JSON ({exportCount})
+                      </button>
+                      <button
+                        onClick={() => {
+                          setShowExportMenu(false);
+                          onShowReport();
+                        }}
+                        className={`w-full text-left px-4 py-2 border-t ${currentTheme.border} hover:${currentTheme.secondaryBg}`}
+                      >
+                        Printable report (HTML/PDF)
+                      </button>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
+              {userData.login && (
+                <motion.a 
+                  href={`${webUrl}/${userData.login}`} 
+                  target="_blank" 
+                  rel="noopener noreferrer"
+                  className={`px-4 py-2 rounded-lg ${currentTheme.accent} hover:${currentTheme.accentHover} text-white font-medium transition-colors`}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  View on GitHub
+                </motion.a>
+              )}
+            </div>
+          </div>
+
+          <p className="my-3">{userData.bio || userData.description}</p>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+            <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+              <Code className="mr-2" size={18} />
+              <div>
+                <div className="font-bold">{userData.public_repos}</div>
+                <div className="text-sm text-gray-400">Repositories</div>
+              </div>
+            </div>
+
+            <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+              <Users className="mr-2" size={18} />
+              <div>
+                <div className="font-bold">{userData.followers}</div>
+                <div className="text-sm text-gray-400">Followers</div>
+              </div>
+            </div>
+
+            {isOrg ? (
+              <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+                <Building2 className="mr-2" size={18} />
+                <div>
+                  <div className="font-bold">{members.length}</div>
+                  <div className="text-sm text-gray-400">Public Members</div>
+                </div>
+              </div>
+            ) : (
+              <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+                <Star className="mr-2" size={18} />
+                <div>
+                  <div className="font-bold">{userData.following}</div>
+                  <div className="text-sm text-gray-400">Following</div>
+                </div>
+              </div>
+            )}
+
+            <div className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+              <Calendar className="mr-2" size={18} />
+              <div>
+                <div className="font-bold">{new Date(userData.created_at).getFullYear()}</div>
+                <div className="text-sm text-gray-400">Joined GitHub</div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ProfileCard;
@@ -0,0 +1,93 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Star, GitFork } from "lucide-react";
+import { languageColors } from "../theme";
+import { STATUS_FILTERS } from "../lib/repoFilters";
+import HealthBadge from "./HealthBadge";
+
+const RepoCard = ({ repo, health, currentTheme, onOpen, onTopicClick }) => (
+  <motion.div 
+    layout
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    exit={{ opacity: 0, y: -20 }}
+    className={`p-4 rounded-2xl shadow-lg cursor-pointer ${currentTheme.cardBg}`}
+    onClick={() => onOpen(repo)}
+  >
+    <div className="flex flex-col md:flex-row md:items-center justify-between">
+      <div>
+        <div className="flex flex-wrap items-center gap-2">
+          <h4 className="text-lg font-bold">{repo.name}</h4>
+          <HealthBadge health={health} />
+          {STATUS_FILTERS.filter(({ field }) => repo[field]).map(({ key, label }) => (
+            <span key={key} className={`px-2 text-xs rounded-full border ${currentTheme.border} ${currentTheme.textSecondary}`}>
+              {label.replace(/s$/, "").toLowerCase()}
+            </span>
+          ))}
+        </div>
+        <p className={`${currentTheme.textSecondary} mt-1`}>
+          {repo.description || "No description available"}
+        </p>
+
+        <div className="flex flex-wrap items-center mt-3 gap-3">
+          {repo.language && (
+            <div className="flex items-center">
+              <div 
+                className="w-3 h-3 rounded-full mr-1" 
+                style={{ 
+                  backgroundColor: languageColors[repo.language] || "#" + Math.floor(Math.random()*16777215).toString(16)
+                }}
+              ></div>
+              <span className="text-sm">{repo.language}</span>
+            </div>
+          )}
+
+          <div className="flex items-center">
+            <Star size={14} className="mr-1" />
+            <span className="text-sm">{repo.stargazers_count}</span>
+          </div>
+
+          <div className="flex items-center">
+            <GitFork size={14} className="mr-1" />
+            <span className="text-sm">{repo.forks_count}</span>
+          </div>
+
+          <div className="text-sm">
+            Updated {new Date(repo.updated_at).toLocaleDateString()}
+          </div>
+        </div>
+
+        {repo.topics?.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {repo.topics.map(topic => (
+              <button
+                key={topic}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onTopicClick(topic);
+                }}
+                className="px-2 py-0.5 rounded-full text-xs bg-purple-500/20 text-purple-400 hover:bg-purple-500/30"
+              >
+                {topic}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <motion.a 
+        href={repo.html_url} 
+        target="_blank" 
+        rel="noopener noreferrer"
+        onClick={(e) => e.stopPropagation()}
+        className={`mt-3 md:mt-0 px-3 py-1 rounded-lg text-sm ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+      >
+        View Repo
+      </motion.a>
+    </div>
+  </motion.div>
+);
+
+export default RepoCard;
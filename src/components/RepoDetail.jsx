@@ -0,0 +1,245 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { Star, GitFork, ArrowLeft, ExternalLink, Eye, CircleDot, GitPullRequest, Tag, FileText } from "lucide-react";
+import Markdown, { defaultUrlTransform } from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { languageColors } from "../theme";
+import { formatBytes } from "../lib/format";
+import { containerVariants, itemVariants } from "./variants";
+import LoadingState from "./LoadingState";
+import ErrorNotice from "./ErrorNotice";
+
+// Point relative README links and images at the repository's files
+const resolveReadmeUrl = (repo, url, key) => {
+  if (!url || /^([a-z]+:|#|\/\/)/i.test(url)) return url;
+  const path = url.replace(/^\.?\//, "");
+  return key === "src"
+    ? `${repo.html_url}/raw/${repo.default_branch}/${path}`
+    : `${repo.html_url}/blob/${repo.default_branch}/${path}`;
+};
+
+const RepoDetail = ({ repo, detail, owner, darkMode, currentTheme, tooltipStyle, onBack, onRetry }) => (
+  <motion.div
+    initial="hidden"
+    animate="visible"
+    variants={containerVariants}
+  >
+    <motion.div variants={itemVariants} className="mb-6">
+      <button
+        onClick={onBack}
+        className={`flex items-center mb-4 ${currentTheme.textSecondary} hover:text-purple-400 transition-colors`}
+      >
+        <ArrowLeft size={18} className="mr-1" /> Back to {owner}
+      </button>
+      <div className={`p-6 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+        <div className="flex flex-col md:flex-row md:items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold">{repo.full_name}</h2>
+            <p className={`mt-1 ${currentTheme.textSecondary}`}>
+              {repo.description || "No description available"}
+            </p>
+          </div>
+          <motion.a
+            href={repo.html_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`mt-4 md:mt-0 px-4 py-2 rounded-lg flex items-center ${currentTheme.accent} hover:${currentTheme.accentHover} text-white font-medium transition-colors`}
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            View on GitHub <ExternalLink size={16} className="ml-2" />
+          </motion.a>
+        </div>
+        <div className="flex flex-wrap items-center mt-4 gap-4 text-sm">
+          <div className="flex items-center"><Star size={14} className="mr-1" /> {repo.stargazers_count} stars</div>
+          <div className="flex items-center"><GitFork size={14} className="mr-1" /> {repo.forks_count} forks</div>
+          <div className="flex items-center"><Eye size={14} className="mr-1" /> {repo.watchers_count} watchers</div>
+          <div>Created {new Date(repo.created_at).toLocaleDateString()}</div>
+          <div>Pushed {new Date(repo.pushed_at).toLocaleDateString()}</div>
+        </div>
+      </div>
+    </motion.div>
+
+    {detail.status === "loading" && <LoadingState message="Loading repository details..." darkMode={darkMode} />}
+
+    {detail.status === "error" && (
+      <ErrorNotice
+        error={{ kind: "unknown", message: detail.error, retry: true }}
+        darkMode={darkMode}
+        currentTheme={currentTheme}
+        onRetry={onRetry}
+      />
+    )}
+
+    {detail.status === "ready" && (
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Languages</h3>
+          {detail.languages === null ? (
+            <p className="text-center py-4">Language data unavailable</p>
+          ) : detail.languages.length === 0 ? (
+            <p className="text-center py-4">No language data available</p>
+          ) : (
+            <>
+              <div className="flex w-full h-3 rounded-full overflow-hidden mb-4">
+                {detail.languages.map(lang => (
+                  <div
+                    key={lang.name}
+                    style={{ width: `${lang.percent}%`, backgroundColor: languageColors[lang.name] || currentTheme.chartLine }}
+                    title={lang.name}
+                  />
+                ))}
+              </div>
+              <div className="space-y-2">
+                {detail.languages.map(lang => (
+                  <div key={lang.name} className="flex items-center justify-between text-sm">
+                    <div className="flex items-center">
+                      <div
+                        className="w-3 h-3 rounded-full mr-2"
+                        style={{ backgroundColor: languageColors[lang.name] || currentTheme.chartLine }}
+                      ></div>
+                      {lang.name}
+                    </div>
+                    <span className={currentTheme.textSecondary}>
+                      {formatBytes(lang.bytes)} · {lang.percent.toFixed(1)}%
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Issues & Pull Requests</h3>
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              { label: "Open Issues", value: detail.issues?.open, icon: <CircleDot size={18} className="mr-2 text-green-400" /> },
+              { label: "Closed Issues", value: detail.issues?.closed, icon: <CircleDot size={18} className="mr-2 text-purple-400" /> },
+              { label: "Open PRs", value: detail.pulls?.open, icon: <GitPullRequest size={18} className="mr-2 text-green-400" /> },
+              { label: "Closed PRs", value: detail.pulls?.closed, icon: <GitPullRequest size={18} className="mr-2 text-purple-400" /> }
+            ].map(({ label, value, icon }) => (
+              <div key={label} className={`p-3 rounded-lg ${currentTheme.secondaryBg} flex items-center`}>
+                {icon}
+                <div>
+                  <div className="font-bold">{value ?? "—"}</div>
+                  <div className="text-sm text-gray-400">{label}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+          {(!detail.issues || !detail.pulls) && (
+            <p className={`text-sm mt-3 ${currentTheme.textSecondary}`}>Some counts could not be loaded.</p>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+          <h3 className="text-lg font-bold mb-4">Weekly Commit Activity</h3>
+          <div className="h-64">
+            {detail.commitActivity ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={detail.commitActivity} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                  <XAxis dataKey="week" stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                  <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} allowDecimals={false} />
+                  <Tooltip contentStyle={tooltipStyle} labelFormatter={(value) => `Week of ${value}`} />
+                  <Bar dataKey="commits" name="Commits" fill={currentTheme.chartLine} />
+                </BarChart>
+              </ResponsiveContainer>
+            ) : (
+              <div className="h-full flex items-center justify-center">
+                <p className={currentTheme.textSecondary}>
+                  {detail.commitActivityPending
+                    ? "GitHub is still computing commit statistics. Try again in a minute."
+                    : "Commit activity unavailable"}
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Top Contributors</h3>
+          {detail.contributors === null ? (
+            <p className="text-center py-4">Contributor data unavailable</p>
+          ) : detail.contributors.length === 0 ? (
+            <p className="text-center py-4">No contributors yet</p>
+          ) : (
+            <div className="space-y-2">
+              {detail.contributors.map(contributor => (
+                <a
+                  key={contributor.login}
+                  href={contributor.html_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-between hover:text-purple-400 transition-colors"
+                >
+                  <div className="flex items-center">
+                    <img src={contributor.avatar_url} alt={contributor.login} className="w-8 h-8 rounded-full mr-3" />
+                    {contributor.login}
+                  </div>
+                  <span className={`text-sm ${currentTheme.textSecondary}`}>{contributor.contributions} commits</span>
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Recent Releases</h3>
+          {detail.releases === null ? (
+            <p className="text-center py-4">Release data unavailable</p>
+          ) : detail.releases.length === 0 ? (
+            <p className="text-center py-4">No releases published</p>
+          ) : (
+            <div className="space-y-3">
+              {detail.releases.map(release => (
+                <a
+                  key={release.id}
+                  href={release.html_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-between hover:text-purple-400 transition-colors"
+                >
+                  <div className="flex items-center min-w-0">
+                    <Tag size={16} className="mr-2 flex-shrink-0" />
+                    <span className="truncate">{release.name || release.tag_name}</span>
+                    {release.prerelease && (
+                      <span className="ml-2 px-2 text-xs rounded-full bg-yellow-500/20 text-yellow-400">pre-release</span>
+                    )}
+                  </div>
+                  <span className={`text-sm ml-4 whitespace-nowrap ${currentTheme.textSecondary}`}>
+                    {new Date(release.published_at || release.created_at).toLocaleDateString()}
+                  </span>
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className={`p-6 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+          <h3 className="text-lg font-bold mb-4 flex items-center">
+            <FileText size={18} className="mr-2" /> README
+          </h3>
+          {detail.readmeFailed ? (
+            <p className="text-center py-4">README could not be loaded</p>
+          ) : detail.readme ? (
+            <div className={`markdown-body ${darkMode ? "markdown-dark" : ""}`}>
+              <Markdown
+                remarkPlugins={[remarkGfm]}
+                urlTransform={(url, key) => resolveReadmeUrl(repo, defaultUrlTransform(url), key)}
+              >
+                {detail.readme}
+              </Markdown>
+            </div>
+          ) : (
+            <p className="text-center py-4">This repository has no README</p>
+          )}
+        </div>
+      </motion.div>
+    )}
+  </motion.div>
+);
+
+export default RepoDetail;
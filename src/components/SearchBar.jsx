@@ -0,0 +1,59 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Search, User, Building2, GitCompare } from "lucide-react";
+
+const SearchBar = ({ currentTheme, lookupMode, onModeChange, username, onUsernameChange, onSubmit }) => (
+  <div className={`p-8 ${currentTheme.cardBg} mb-6 shadow-lg`}>
+    <motion.div 
+      className="max-w-2xl mx-auto"
+      initial={{ scale: 0.9, opacity: 0 }}
+      animate={{ scale: 1, opacity: 1 }}
+      transition={{ duration: 0.3 }}
+    >
+      <div className="flex justify-center gap-2 mb-4">
+        {[
+          { mode: "user", label: "User", icon: <User size={16} className="mr-1" /> },
+          { mode: "org", label: "Organization", icon: <Building2 size={16} className="mr-1" /> },
+          { mode: "compare", label: "Compare", icon: <GitCompare size={16} className="mr-1" /> }
+        ].map(({ mode, label, icon }) => (
+          <button
+            key={mode}
+            onClick={() => onModeChange(mode)}
+            className={`flex items-center px-4 py-1 rounded-full text-sm font-medium transition-colors ${lookupMode === mode
+              ? `${currentTheme.accent} text-white`
+              : `${currentTheme.secondaryBg} ${currentTheme.textSecondary}`}`}
+          >
+            {icon} {label}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <div className={`flex-1 flex items-center px-3 rounded-lg border ${currentTheme.border} ${currentTheme.secondaryBg}`}>
+          <Search size={20} className={`${currentTheme.textSecondary} mr-2`} />
+          <input
+            type="text"
+            className={`w-full p-3 outline-none ${currentTheme.secondaryBg} ${currentTheme.text}`}
+            placeholder={{
+              user: "Enter GitHub username",
+              org: "Enter GitHub organization",
+              compare: "Enter usernames separated by commas"
+            }[lookupMode]}
+            value={username}
+            onChange={(e) => onUsernameChange(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && onSubmit()}
+          />
+        </div>
+        <motion.button
+          onClick={() => onSubmit()}
+          className={`px-6 py-3 rounded-lg font-medium ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+        >
+          {{ user: "Fetch Profile", org: "Fetch Organization", compare: "Compare Users" }[lookupMode]}
+        </motion.button>
+      </div>
+    </motion.div>
+  </div>
+);
+
+export default SearchBar;
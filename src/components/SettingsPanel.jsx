@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { Heart, Server, FlaskConical, X } from "lucide-react";
+import { DEFAULT_HEALTH_THRESHOLDS, HEALTH_THRESHOLD_FIELDS } from "../lib/health";
+import { DEMO_ERROR_LOGINS } from "../api/demo";
+import { deriveWebUrl, isValidApiUrl, normalizeProfile } from "../api/profiles";
+
+const PROFILE_FIELDS = [
+  { key: "name", label: "Name", type: "text", placeholder: "GitHub Enterprise" },
+  { key: "apiUrl", label: "API URL", type: "url", placeholder: "https://github.example.com/api/v3" },
+  { key: "webUrl", label: "Web URL", type: "url" },
+  { key: "token", label: "Token", type: "password", placeholder: "ghp_..." }
+];
+
+const SettingsPanel = ({
+  currentTheme,
+  profiles,
+  activeProfile,
+  onSaveProfile,
+  onAddProfile,
+  onRemoveProfile,
+  healthThresholds,
+  onHealthThresholdsChange,
+  demo,
+  onDemoChange,
+  onClose
+}) => {
+  const [profileForm, setProfileForm] = useState(activeProfile);
+  const [demoUrlInput, setDemoUrlInput] = useState(demo.baseUrl);
+  // What is typed into a threshold field, which may be blank or invalid while editing;
+  // valid numbers apply right away and the field shows the applied value again on blur
+  const [thresholdDrafts, setThresholdDrafts] = useState({});
+  const apiUrlValid = isValidApiUrl(profileForm.apiUrl);
+
+  return (
+    <motion.div
+      className={`px-6 py-4 ${currentTheme.cardBg} border-t ${currentTheme.border} shadow-lg`}
+      initial={{ height: 0, opacity: 0 }}
+      animate={{ height: "auto", opacity: 1 }}
+      exit={{ height: 0, opacity: 0 }}
+    >
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-bold flex items-center">
+            <Server size={18} className="mr-2" /> GitHub Profile
+          </h2>
+          <button onClick={onClose} className={currentTheme.textSecondary}>
+            <X size={18} />
+          </button>
+        </div>
+        <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+          Each profile has its own host and personal access token. For GitHub Enterprise Server, use <code>https://HOST/api/v3</code> as the API URL. Authenticated requests get 5,000 requests per hour instead of 60. Tokens are stored in this browser's local storage only.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {PROFILE_FIELDS.map(({ key, label, type, placeholder }) => (
+            <label key={key} className="flex flex-col gap-1 text-sm">
+              <span>{label}</span>
+              <input
+                type={type}
+                className={`p-2 rounded-lg border outline-none ${currentTheme.border} ${currentTheme.secondaryBg} ${currentTheme.text}`}
+                placeholder={key === "webUrl" && apiUrlValid ? deriveWebUrl(profileForm.apiUrl.trim()) : placeholder}
+                value={profileForm[key]}
+                onChange={(e) => setProfileForm(current => ({ ...current, [key]: e.target.value }))}
+              />
+            </label>
+          ))}
+        </div>
+        {!apiUrlValid && (
+          <p className="text-sm mt-2 text-red-400">Enter the API URL as an http:// or https:// address.</p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button
+            onClick={() => onSaveProfile(normalizeProfile(profileForm))}
+            disabled={!apiUrlValid}
+            className={`px-4 py-2 rounded-lg font-medium ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors disabled:opacity-50`}
+          >
+            Save
+          </button>
+          <button
+            onClick={() => onAddProfile({ ...normalizeProfile(profileForm), id: Date.now().toString(36) })}
+            disabled={!apiUrlValid}
+            className={`px-4 py-2 rounded-lg font-medium ${currentTheme.secondaryBg} disabled:opacity-50`}
+          >
+            Save as new profile
+          </button>
+          {profiles.length > 1 && (
+            <button
+              onClick={() => onRemoveProfile(activeProfile.id)}
+              className={`px-4 py-2 rounded-lg font-medium ${currentTheme.secondaryBg} text-red-400`}
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <p className={`text-sm mt-2 ${currentTheme.textSecondary}`}>
+          {activeProfile.token
+            ? `A token is saved and sent with every request to ${activeProfile.name}.`
+            : `No token saved. Requests to ${activeProfile.name} are unauthenticated.`}
+        </p>
+
+        <div className="flex items-center justify-between mt-6 mb-2">
+          <h2 className="font-bold flex items-center">
+            <Heart size={18} className="mr-2" /> Repository Health
+          </h2>
+          <button
+            onClick={() => {
+              setThresholdDrafts({});
+              onHealthThresholdsChange(DEFAULT_HEALTH_THRESHOLDS);
+            }}
+            className={`text-sm ${currentTheme.textSecondary} hover:text-purple-400`}
+          >
+            Reset to defaults
+          </button>
+        </div>
+        <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+          Health scores start at 100 and lose points for being archived, going without pushes, open issues, many forks per star and a missing license, description or topics.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {HEALTH_THRESHOLD_FIELDS.map(({ key, label, step }) => (
+            <label key={key} className="flex items-center justify-between gap-2 text-sm">
+              <span>{label}</span>
+              <input
+                type="number"
+                min="0"
+                step={step}
+                className={`w-24 p-1 rounded-lg border outline-none ${currentTheme.border} ${currentTheme.secondaryBg} ${currentTheme.text}`}
+                value={thresholdDrafts[key] ?? healthThresholds[key]}
+                onChange={(e) => {
+                  const draft = e.target.value;
+                  setThresholdDrafts(current => ({ ...current, [key]: draft }));
+                  const value = Number(draft);
+                  if (draft !== "" && value >= 0) {
+                    onHealthThresholdsChange(current => ({ ...current, [key]: value }));
+                  }
+                }}
+                onBlur={() => setThresholdDrafts(current => ({ ...current, [key]: undefined }))}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between mt-6 mb-2">
+          <h2 className="font-bold flex items-center">
+            <FlaskConical size={18} className="mr-2" /> Demo Mode
+          </h2>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={demo.enabled}
+              onChange={(e) => onDemoChange(current => ({ ...current, enabled: e.target.checked }))}
+            />
+            Use demo data
+          </label>
+        </div>
+        <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+          Requests are answered offline from bundled fixtures, or by a local mock server when a URL is set. Look up <code>demo-user</code> for sample data, {Object.entries(DEMO_ERROR_LOGINS).map(([login, failure]) => `${login} for a ${failure}`).join(", ")} and any other name for a 404.
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="url"
+            className={`flex-1 p-2 rounded-lg border outline-none ${currentTheme.border} ${currentTheme.secondaryBg} ${currentTheme.text}`}
+            placeholder="Bundled fixtures (or e.g. http://localhost:4010)"
+            value={demoUrlInput}
+            onChange={(e) => setDemoUrlInput(e.target.value)}
+          />
+          <button
+            onClick={() => onDemoChange(current => ({ ...current, baseUrl: demoUrlInput.trim() }))}
+            className={`px-4 py-2 rounded-lg font-medium ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,23 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { itemVariants } from "./variants";
+
+const TabBar = ({ tabs, activeTab, onChange, currentTheme }) => (
+  <motion.div variants={itemVariants} className="mb-6">
+    <div className={`flex overflow-x-auto ${currentTheme.border} border-b`}>
+      {tabs.map(({ key, label }) => (
+        <button 
+          key={key}
+          onClick={() => onChange(key)}
+          className={`px-4 py-3 font-medium whitespace-nowrap ${activeTab === key 
+            ? `border-b-2 border-purple-500 text-purple-400` 
+            : currentTheme.textSecondary}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  </motion.div>
+);
+
+export default TabBar;
@@ -0,0 +1,138 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import { Star, X, Bookmark, Trash2 } from "lucide-react";
+
+const WatchlistPanel = ({ watchlist, profiles, currentTheme, tooltipStyle, onOpen, onRemove, onClose }) => (
+  <motion.div
+    className={`px-6 py-4 ${currentTheme.cardBg} border-t ${currentTheme.border} shadow-lg`}
+    initial={{ height: 0, opacity: 0 }}
+    animate={{ height: "auto", opacity: 1 }}
+    exit={{ height: 0, opacity: 0 }}
+  >
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-bold flex items-center">
+          <Bookmark size={18} className="mr-2" /> Watchlist
+        </h2>
+        <button onClick={onClose} className={currentTheme.textSecondary}>
+          <X size={18} />
+        </button>
+      </div>
+      <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+        A snapshot is saved in this browser each time you view a tracked account. Changes are shown since the previous view.
+      </p>
+      {watchlist.length === 0 && (
+        <p className="text-center py-4">Use the Watch button on a profile to start tracking it.</p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {watchlist.map(entry => {
+          const latest = entry.snapshots.at(-1);
+          const previous = entry.snapshots.at(-2);
+          const delta = (field) => {
+            if (!latest || !previous) return null;
+            const change = latest[field] - previous[field];
+            if (change === 0) return null;
+            return (
+              <span className={`ml-1 text-xs ${change > 0 ? "text-green-400" : "text-red-400"}`}>
+                {change > 0 ? "+" : ""}{change}
+              </span>
+            );
+          };
+          // Entries from a removed profile can't be opened; the host is shown once there are several
+          const profile = profiles.find(item => item.id === entry.profileId);
+          const history = entry.snapshots.map(snapshot => ({
+            date: new Date(snapshot.at).toLocaleDateString(),
+            followers: snapshot.followers,
+            stars: snapshot.totalStars
+          }));
+
+          return (
+            <div key={`${entry.profileId} ${entry.login}`} className={`p-4 rounded-2xl ${currentTheme.secondaryBg}`}>
+              <div className="flex items-center">
+                <button
+                  onClick={() => onOpen(entry)}
+                  disabled={!profile}
+                  className="flex items-center flex-1 min-w-0 text-left hover:text-purple-400 disabled:hover:text-inherit transition-colors"
+                >
+                  <img src={entry.avatarUrl} alt={entry.login} className="w-10 h-10 rounded-full mr-3" />
+                  <div className="min-w-0">
+                    <div className="font-bold truncate">
+                      {entry.login}
+                      {(profiles.length > 1 || !profile) && (
+                        <span className={`ml-2 text-xs font-normal ${currentTheme.textSecondary}`}>
+                          {profile ? profile.name : "removed profile"}
+                        </span>
+                      )}
+                    </div>
+                    <div className={`text-xs ${currentTheme.textSecondary}`}>
+                      {latest
+                        ? `${entry.snapshots.length} snapshots since ${new Date(entry.snapshots[0].at).toLocaleDateString()}`
+                        : "No snapshot yet"}
+                    </div>
+                  </div>
+                </button>
+                <button
+                  onClick={() => onRemove(entry)}
+                  className={`p-1 ${currentTheme.textSecondary} hover:text-red-400`}
+                  title="Remove from watchlist"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+
+              {latest && (
+                <>
+                  <div className="grid grid-cols-3 gap-2 mt-3 text-sm">
+                    <div><span className="font-bold">{latest.followers}</span>{delta("followers")}<div className={currentTheme.textSecondary}>Followers</div></div>
+                    <div><span className="font-bold">{latest.publicRepos}</span>{delta("publicRepos")}<div className={currentTheme.textSecondary}>Repositories</div></div>
+                    <div><span className="font-bold">{latest.totalStars}</span>{delta("totalStars")}<div className={currentTheme.textSecondary}>Stars</div></div>
+                  </div>
+
+                  {latest.topRepos.length > 0 && (
+                    <div className="mt-3 space-y-1 text-sm">
+                      {latest.topRepos.map(repo => {
+                        const before = previous?.topRepos.find(item => item.name === repo.name);
+                        const change = before ? repo.stars - before.stars : 0;
+                        return (
+                          <div key={repo.name} className="flex items-center justify-between">
+                            <span className="truncate">{repo.name}</span>
+                            <span className="flex items-center">
+                              <Star size={12} className="mr-1" />{repo.stars}
+                              {change !== 0 && (
+                                <span className={`ml-1 text-xs ${change > 0 ? "text-green-400" : "text-red-400"}`}>
+                                  {change > 0 ? "+" : ""}{change}
+                                </span>
+                              )}
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {history.length > 1 && (
+                    <div className="h-24 mt-3">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={history} margin={{ top: 5, right: 5, left: 5, bottom: 5 }}>
+                          <XAxis dataKey="date" hide />
+                          <YAxis yAxisId="followers" hide domain={["auto", "auto"]} />
+                          <YAxis yAxisId="stars" hide domain={["auto", "auto"]} />
+                          <Tooltip contentStyle={tooltipStyle} />
+                          <Line yAxisId="followers" type="monotone" dataKey="followers" name="Followers" stroke={currentTheme.chartLine} dot={false} strokeWidth={2} />
+                          <Line yAxisId="stars" type="monotone" dataKey="stars" name="Stars" stroke={currentTheme.chartLineSecondary} dot={false} strokeWidth={2} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  </motion.div>
+);
+
+export default WatchlistPanel;
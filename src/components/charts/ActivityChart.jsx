@@ -0,0 +1,80 @@
+import React from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { Activity } from "lucide-react";
+
+// Weekly commits and public events, with a note on what the numbers cover
+const ActivityChart = ({ data, meta, currentTheme, tooltipStyle }) => (
+  <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+    {meta.status === "ready" && (
+      <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+        Weekly commits from the {meta.commitRepos} most recently pushed repositories
+        {meta.eventsOk
+          ? ` and ${meta.eventCount} public events (GitHub keeps the last 90 days).`
+          : ". Public events could not be loaded."}
+        {meta.pendingRepos > 0 && ` GitHub is still computing statistics for ${meta.pendingRepos} repositories; try again shortly.`}
+        {meta.failedRepos > 0 && ` Commit data for ${meta.failedRepos} repositories could not be loaded.`}
+      </p>
+    )}
+    <div className="h-72">
+      {meta.status === "loading" && (
+        <div className="h-full flex items-center justify-center">
+          <p className={currentTheme.textSecondary}>Loading activity data...</p>
+        </div>
+      )}
+      {meta.status === "unavailable" && (
+        <div className="h-full flex flex-col items-center justify-center text-center">
+          <Activity size={32} className={`mb-2 ${currentTheme.textSecondary}`} />
+          <p className="font-bold">Activity data unavailable</p>
+          <p className={`text-sm ${currentTheme.textSecondary}`}>
+            {meta.pendingRepos > 0
+              ? "GitHub is still computing commit statistics for this account. Try again in a minute."
+              : "Real activity data could not be fetched from GitHub, so no chart is shown."}
+          </p>
+        </div>
+      )}
+      {meta.status === "ready" && (
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+          <XAxis 
+            dataKey="date" 
+            stroke={currentTheme.textSecondary}
+            tick={{ fontSize: 12 }}
+            tickFormatter={(value) => value.split(' ')[0]}
+          />
+          <YAxis 
+            stroke={currentTheme.textSecondary}
+            tick={{ fontSize: 12 }}
+            allowDecimals={false}
+          />
+          <Tooltip 
+            contentStyle={tooltipStyle}
+            labelFormatter={(value) => `Week of ${value}`}
+          />
+          <Legend />
+          <Line 
+            type="monotone" 
+            dataKey="commits" 
+            name="Commits"
+            stroke={currentTheme.chartLine}
+            activeDot={{ r: 8 }} 
+            strokeWidth={2}
+          />
+          {meta.eventsOk && (
+            <Line 
+              type="monotone" 
+              dataKey="events" 
+              name="Public events"
+              stroke={currentTheme.chartLineSecondary}
+              activeDot={{ r: 6 }} 
+              strokeWidth={2}
+            />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+      )}
+    </div>
+  </div>
+);
+
+export default ActivityChart;
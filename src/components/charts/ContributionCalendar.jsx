@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { itemVariants } from "../variants";
+import { toDateKey } from "../../lib/dates";
+import { WEEKDAY_NAMES, buildCalendarWeeks, getCalendarStats, getCalendarLevel, getCalendarMonthLabels } from "../../lib/calendar";
+
+const ContributionCalendar = ({ calendar, year, onYearChange, isOrg, currentTheme }) => {
+  const [hover, setHover] = useState(null);
+
+  // A reload moves the cells, so drop any tooltip left from the previous calendar
+  useEffect(() => {
+    setHover(null);
+  }, [calendar]);
+
+  const weeks = calendar.status === "ready" ? buildCalendarWeeks(calendar.from, calendar.to, calendar.counts) : [];
+  const stats = calendar.status === "ready"
+    ? getCalendarStats(weeks, toDateKey(calendar.to) === toDateKey(new Date()))
+    : null;
+  const years = calendar.status === "ready" ? calendar.years : [];
+  const monthLabels = getCalendarMonthLabels(weeks);
+
+  return (
+    <motion.div variants={itemVariants} className="mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold">Contribution Calendar</h3>
+        {years.length > 0 && (
+          <select
+            value={year}
+            onChange={(e) => onYearChange(e.target.value)}
+            className={`p-2 rounded-lg text-sm ${currentTheme.cardBg} ${currentTheme.text} border ${currentTheme.border} focus:outline-none focus:ring-2 focus:ring-purple-500`}
+          >
+            <option value="">Last 12 months</option>
+            {years.map(year => (
+              <option key={year} value={year}>{year}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+        {calendar.status === "loading" && (
+          <p className={`py-8 text-center ${currentTheme.textSecondary}`}>Loading contribution data...</p>
+        )}
+        {calendar.status === "error" && (
+          <p className={`py-8 text-center ${currentTheme.textSecondary}`}>{calendar.error}</p>
+        )}
+        {calendar.status === "ready" && (
+          <>
+            <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+              {calendar.source === "contributions"
+                ? `${stats.total} contributions from GitHub's contribution calendar.`
+                : `${stats.total} public events. Without an access token only the last 90 days of public events are available${isOrg ? "" : "; add a token in settings to see the full contribution history"}.`}
+            </p>
+            <div className="relative overflow-x-auto" onMouseLeave={() => setHover(null)}>
+              <div className="inline-flex flex-col">
+                <div className="flex ml-8 mb-1 text-xs h-4">
+                  {monthLabels.map((label, i) => (
+                    <div key={i} className={`w-3 mr-[3px] overflow-visible whitespace-nowrap ${currentTheme.textSecondary}`}>{label}</div>
+                  ))}
+                </div>
+                <div className="flex">
+                  <div className={`flex flex-col mr-2 text-xs w-6 ${currentTheme.textSecondary}`}>
+                    {WEEKDAY_NAMES.map((name, i) => (
+                      <div key={name} className="h-3 mb-[3px] leading-3">{i % 2 === 1 ? name.slice(0, 3) : ""}</div>
+                    ))}
+                  </div>
+                  {weeks.map((week, i) => (
+                    <div key={i} className="flex flex-col mr-[3px]">
+                      {week.map((day, j) => day ? (
+                        <div
+                          key={day.date}
+                          className="w-3 h-3 mb-[3px] rounded-sm"
+                          style={{ backgroundColor: currentTheme.heatmap[getCalendarLevel(day.count, stats.max)] }}
+                          onMouseEnter={(e) => setHover({
+                            day,
+                            x: e.currentTarget.offsetLeft,
+                            // Show the tooltip below the top rows so it isn't clipped
+                            y: j < 3 ? e.currentTarget.offsetTop + 18 : e.currentTarget.offsetTop - 30
+                          })}
+                        />
+                      ) : (
+                        <div key={j} className="w-3 h-3 mb-[3px]" />
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+              {hover && (
+                <div
+                  className={`absolute z-10 px-2 py-1 rounded text-xs whitespace-nowrap pointer-events-none shadow-lg border ${currentTheme.border} ${currentTheme.cardBg}`}
+                  style={{ left: hover.x + 6, top: hover.y, transform: "translateX(-50%)" }}
+                >
+                  <span className="font-bold">
+                    {hover.day.count} {calendar.source === "contributions" ? "contributions" : "events"}
+                  </span>
+                  {" on "}
+                  {new Date(hover.day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}
+                </div>
+              )}
+            </div>
+            <div className="flex items-center justify-end mt-2 text-xs">
+              <span className={`mr-1 ${currentTheme.textSecondary}`}>Less</span>
+              {currentTheme.heatmap.map(color => (
+                <div key={color} className="w-3 h-3 mr-[3px] rounded-sm" style={{ backgroundColor: color }} />
+              ))}
+              <span className={`ml-1 ${currentTheme.textSecondary}`}>More</span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+              {[
+                { label: "Current streak", value: stats.current === null ? "—" : `${stats.current} days` },
+                { label: "Longest streak", value: `${stats.longest} days` },
+                { label: "Active days", value: stats.activeDays },
+                { label: "Busiest weekday", value: stats.busiestWeekday || "—" }
+              ].map(({ label, value }) => (
+                <div key={label} className={`p-3 rounded-lg ${currentTheme.secondaryBg}`}>
+                  <div className="font-bold">{value}</div>
+                  <div className={`text-sm ${currentTheme.textSecondary}`}>{label}</div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default ContributionCalendar;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from "react";
+import { createLayout, tickLayout, getNodeKind } from "../../lib/network";
+import { networkColors } from "../../theme";
+
+const WIDTH = 800;
+const HEIGHT = 520;
+const ALPHA_DECAY = 0.97;
+const ALPHA_MIN = 0.02;
+// Pointer travel below this counts as a click rather than a drag
+const CLICK_TOLERANCE = 4;
+
+const nodeRadius = (node) => {
+  if (node.depth === 0) return 26;
+  if (node.depth === 2) return 9;
+  return Math.min(20, 12 + Math.log2(1 + node.contributions));
+};
+
+const describeNode = (node) => {
+  if (node.depth === 0) return node.login;
+  if (node.depth === 2) return `${node.login} · followed by someone in this network`;
+  const parts = node.kinds.map(kind => kind === "contributor" ? `contributor (${node.contributions} commits)` : kind);
+  return `${node.login} · ${parts.join(", ")}`;
+};
+
+// Force-directed layout animated with requestAnimationFrame. Nodes can be dragged;
+// clicking one (anything but the center) calls onOpenUser with its login.
+const NetworkGraph = ({ graph, currentTheme, onOpenUser }) => {
+  const [positions, setPositions] = useState([]);
+  const [hovered, setHovered] = useState(null);
+  const svgRef = useRef(null);
+  const simulationRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const simulation = { positions: createLayout(graph, WIDTH, HEIGHT), alpha: 1, frame: null };
+    const step = () => {
+      tickLayout(simulation.positions, graph.edges, { width: WIDTH, height: HEIGHT, alpha: simulation.alpha });
+      simulation.alpha *= ALPHA_DECAY;
+      setPositions(simulation.positions.map(position => ({ ...position })));
+      simulation.frame = simulation.alpha > ALPHA_MIN || dragRef.current ? requestAnimationFrame(step) : null;
+    };
+    simulation.reheat = () => {
+      simulation.alpha = Math.max(simulation.alpha, 0.3);
+      if (!simulation.frame) simulation.frame = requestAnimationFrame(step);
+    };
+    simulationRef.current = simulation;
+    simulation.frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(simulation.frame);
+  }, [graph]);
+
+  const toSvgPoint = (event) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const startDrag = (event, index) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { index, startX: event.clientX, startY: event.clientY, moved: false };
+  };
+
+  const drag = (event) => {
+    const current = dragRef.current;
+    if (!current) return;
+    if (Math.hypot(event.clientX - current.startX, event.clientY - current.startY) > CLICK_TOLERANCE) current.moved = true;
+    if (!current.moved) return;
+    const { x, y } = toSvgPoint(event);
+    const position = simulationRef.current.positions[current.index];
+    Object.assign(position, { x, y, vx: 0, vy: 0, fixed: true });
+    simulationRef.current.reheat();
+  };
+
+  const endDrag = (node, index) => {
+    const current = dragRef.current;
+    dragRef.current = null;
+    if (!current) return;
+    if (current.moved) {
+      // Only the center stays pinned; dragged nodes rejoin the simulation
+      simulationRef.current.positions[index].fixed = node.depth === 0;
+      simulationRef.current.reheat();
+    } else if (node.depth > 0) {
+      onOpenUser(node.login);
+    }
+  };
+
+  const byId = new Map(positions.map(position => [position.id, position]));
+  const connected = (edge) => hovered && (edge.source === hovered || edge.target === hovered);
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto select-none touch-none"
+      role="img"
+      aria-label="Collaboration network"
+    >
+      <defs>
+        <clipPath id="network-avatar" clipPathUnits="objectBoundingBox">
+          <circle cx="0.5" cy="0.5" r="0.5" />
+        </clipPath>
+      </defs>
+      <g className={currentTheme.textSecondary}>
+        {graph.edges.map(edge => {
+          const a = byId.get(edge.source);
+          const b = byId.get(edge.target);
+          if (!a || !b) return null;
+          return (
+            <line
+              key={`${edge.source} ${edge.target}`}
+              x1={a.x}
+              y1={a.y}
+              x2={b.x}
+              y2={b.y}
+              stroke={connected(edge) ? networkColors.center : "currentColor"}
+              strokeOpacity={hovered && !connected(edge) ? 0.1 : 0.4}
+              strokeWidth={1 + Math.log2(edge.weight) / 2}
+            />
+          );
+        })}
+      </g>
+      {graph.nodes.map((node, index) => {
+        const position = byId.get(node.id);
+        if (!position) return null;
+        const radius = nodeRadius(node);
+        return (
+          <g
+            key={node.id}
+            transform={`translate(${position.x} ${position.y})`}
+            className={node.depth > 0 ? "cursor-pointer" : "cursor-grab"}
+            opacity={hovered && hovered !== node.id && !graph.edges.some(edge => connected(edge) && (edge.source === node.id || edge.target === node.id)) ? 0.35 : 1}
+            onPointerDown={(event) => startDrag(event, index)}
+            onPointerMove={drag}
+            onPointerUp={() => endDrag(node, index)}
+            onPointerEnter={() => setHovered(node.id)}
+            onPointerLeave={() => setHovered(null)}
+          >
+            <title>{describeNode(node)}</title>
+            <circle r={radius + 2} fill={networkColors[getNodeKind(node)]} />
+            <image
+              href={node.avatarUrl}
+              x={-radius}
+              y={-radius}
+              width={radius * 2}
+              height={radius * 2}
+              clipPath="url(#network-avatar)"
+              preserveAspectRatio="xMidYMid slice"
+            />
+            {(node.depth === 0 || hovered === node.id) && (
+              <text y={radius + 14} textAnchor="middle" className="text-xs font-medium" fill="currentColor">
+                {node.login}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default NetworkGraph;
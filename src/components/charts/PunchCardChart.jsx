@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { WEEKDAY_NAMES } from "../../lib/calendar";
+import { buildPunchCard, getPunchCardSummary, formatHour, formatUtcOffset, getLocalUtcOffset } from "../../lib/punchCard";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const MAX_DOT_SIZE = 18;
+// Whole-hour offsets from UTC−12:00 to UTC+14:00
+const UTC_OFFSETS = Array.from({ length: 27 }, (_, i) => (i - 12) * 60);
+
+const PunchCardChart = ({ punchCard, currentTheme }) => {
+  const [repoName, setRepoName] = useState("");
+  const [timeZone, setTimeZone] = useState("recorded");
+
+  // A repository picked for a previous lookup falls back to all of them
+  const selectedRepo = punchCard.cards.some(card => card.name === repoName) ? repoName : "";
+  const localOffset = getLocalUtcOffset();
+  const offsetMinutes = timeZone === "recorded" ? 0 : timeZone === "local" ? localOffset : Number(timeZone);
+  const cards = punchCard.cards.filter(card => !selectedRepo || card.name === selectedRepo);
+  const grid = buildPunchCard(cards.map(card => card.rows), offsetMinutes);
+  const summary = getPunchCardSummary(grid);
+  const selectClass = `p-2 rounded-lg text-sm ${currentTheme.cardBg} ${currentTheme.text} border ${currentTheme.border} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+
+  return (
+    <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-lg font-bold">Commit Punch Card</h3>
+        {punchCard.status === "ready" && punchCard.cards.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            <select value={selectedRepo} onChange={(e) => setRepoName(e.target.value)} className={selectClass}>
+              <option value="">All {punchCard.cards.length} repositories</option>
+              {punchCard.cards.map(card => (
+                <option key={card.name} value={card.name}>{card.name}</option>
+              ))}
+            </select>
+            <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className={selectClass}>
+              <option value="recorded">Hours as committed</option>
+              <option value="local">UTC commits in my time zone ({formatUtcOffset(localOffset)})</option>
+              {UTC_OFFSETS.map(offset => (
+                <option key={offset} value={String(offset)}>UTC commits in {formatUtcOffset(offset)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {punchCard.status === "loading" && (
+        <p className={`py-8 text-center ${currentTheme.textSecondary}`}>Loading commit times...</p>
+      )}
+      {punchCard.status === "ready" && punchCard.cards.length === 0 && (
+        <p className={`py-8 text-center ${currentTheme.textSecondary}`}>
+          {punchCard.error || (punchCard.pendingRepos > 0
+            ? "GitHub is still computing commit statistics. Try again in a minute."
+            : punchCard.failedRepos > 0
+              ? "Commit times could not be loaded."
+              : "No commits to show")}
+        </p>
+      )}
+      {punchCard.status === "ready" && punchCard.cards.length > 0 && (
+        <>
+          <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+            Commits by everyone to {selectedRepo || `the ${punchCard.cards.length} most recently pushed repositories`}, by weekday and hour.
+            {" "}GitHub files each commit under the time zone it was made in; shifting only makes sense for commits recorded in UTC, and half-hour offsets are rounded.
+            {punchCard.pendingRepos > 0 && ` ${punchCard.pendingRepos} repositories are still being computed by GitHub.`}
+            {punchCard.failedRepos > 0 && ` ${punchCard.failedRepos} repositories could not be loaded.`}
+          </p>
+          {summary.busiest && (
+            <div className="flex flex-wrap gap-x-6 gap-y-1 mb-4 text-sm">
+              <span><span className={currentTheme.textSecondary}>Commits</span> <span className="font-bold">{summary.total}</span></span>
+              <span><span className={currentTheme.textSecondary}>Busiest slot</span> <span className="font-bold">{WEEKDAY_NAMES[summary.busiest.day]} {formatHour(summary.busiest.hour)}</span></span>
+              <span><span className={currentTheme.textSecondary}>Busiest day</span> <span className="font-bold">{summary.busiestDay}</span></span>
+              <span><span className={currentTheme.textSecondary}>Busiest hour</span> <span className="font-bold">{formatHour(summary.busiestHour)}</span></span>
+              <span><span className={currentTheme.textSecondary}>Weekends</span> <span className="font-bold">{summary.weekendPercent.toFixed(0)}%</span></span>
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <div className="inline-flex flex-col min-w-full">
+              {grid.map((hours, day) => (
+                <div key={day} className="flex items-center">
+                  <div className={`w-10 flex-shrink-0 text-xs ${currentTheme.textSecondary}`}>{WEEKDAY_NAMES[day].slice(0, 3)}</div>
+                  {hours.map((commits, hour) => {
+                    const size = commits > 0 ? 4 + Math.sqrt(commits / summary.max) * (MAX_DOT_SIZE - 4) : 0;
+                    return (
+                      <div
+                        key={hour}
+                        className="w-6 h-6 flex-shrink-0 flex items-center justify-center"
+                        title={`${commits} commits · ${WEEKDAY_NAMES[day]} ${formatHour(hour)}`}
+                      >
+                        {commits > 0 ? (
+                          <span className="rounded-full bg-purple-500" style={{ width: size, height: size }} />
+                        ) : (
+                          <span className={`w-1 h-1 rounded-full ${currentTheme.secondaryBg}`} />
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+              <div className="flex">
+                <div className="w-10 flex-shrink-0" />
+                {HOURS.map(hour => (
+                  <div key={hour} className={`w-6 flex-shrink-0 text-xs text-center ${currentTheme.textSecondary}`}>
+                    {hour % 3 === 0 ? formatHour(hour) : ""}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PunchCardChart;
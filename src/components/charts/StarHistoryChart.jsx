@@ -0,0 +1,94 @@
+import React from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { SERIES_COLORS } from "../../theme";
+
+const StarHistoryChart = ({ starHistory, timeline, totalLabel, selection, onToggle, currentTheme, tooltipStyle }) => (
+  <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+    <h3 className="text-lg font-bold mb-2">Stars Over Time</h3>
+    {starHistory.status === "ready" && starHistory.histories.length > 0 && (
+      <>
+        <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+          Cumulative stars from stargazer history for the {starHistory.histories.length} most starred repositories.
+          {starHistory.histories.some(history => history.sampled) && " Repositories with many stars are sampled, so their lines are approximate."}
+          {starHistory.failed > 0 && ` History for ${starHistory.failed} repositories could not be loaded.`}
+        </p>
+        <div className="flex flex-wrap gap-2 mb-4">
+          {starHistory.histories.map((history, i) => (
+            <button
+              key={history.name}
+              onClick={() => onToggle(history.name)}
+              className={`flex items-center px-3 py-1 rounded-full text-sm border ${currentTheme.border} ${selection.includes(history.name) ? currentTheme.secondaryBg : "opacity-50"}`}
+            >
+              <span
+                className="w-3 h-3 rounded-full mr-2"
+                style={{ backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length] }}
+              ></span>
+              {history.name}
+            </button>
+          ))}
+        </div>
+      </>
+    )}
+    <div className="h-64">
+      {starHistory.status === "loading" && (
+        <div className="h-full flex items-center justify-center">
+          <p className={currentTheme.textSecondary}>Loading stargazer history...</p>
+        </div>
+      )}
+      {starHistory.status === "ready" && starHistory.histories.length === 0 && (
+        <div className="h-full flex items-center justify-center text-center">
+          <p className={currentTheme.textSecondary}>
+            {starHistory.error || (starHistory.failed > 0
+              ? "Stargazer history could not be loaded."
+              : "No starred repositories")}
+          </p>
+        </div>
+      )}
+      {starHistory.status === "ready" && starHistory.histories.length > 0 && (
+      <ResponsiveContainer width="100%" height="100%">
+      <LineChart
+          data={timeline}
+          margin={{ top: 5, right: 30, left: 20, bottom: 25 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+          <XAxis
+            dataKey="month"
+            stroke={currentTheme.textSecondary}
+            tick={{ fontSize: 12 }}
+            angle={-45}
+            textAnchor="end"
+          />
+          <YAxis
+            stroke={currentTheme.textSecondary}
+            tick={{ fontSize: 12 }}
+            allowDecimals={false}
+          />
+          <Tooltip contentStyle={tooltipStyle} />
+          <Line
+            type="monotone"
+            dataKey="total"
+            name={totalLabel}
+            stroke={currentTheme.chartLineSecondary}
+            strokeWidth={3}
+            strokeDasharray="6 3"
+            dot={false}
+          />
+          {starHistory.histories.map((history, i) => selection.includes(history.name) && (
+            <Line
+              key={history.name}
+              type="monotone"
+              dataKey={`repo${i}`}
+              name={history.name}
+              stroke={SERIES_COLORS[i % SERIES_COLORS.length]}
+              strokeWidth={2}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+      )}
+    </div>
+  </div>
+);
+
+export default StarHistoryChart;
@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { FileCode, Files, MessageSquare, Lock, Clock, ChevronDown, ChevronRight, ExternalLink } from "lucide-react";
+import { fadeVariants, itemVariants } from "../variants";
+import { withLanguageColors } from "../../theme";
+import { OTHER_LANGUAGE_COLOR, summarizeLanguages } from "../../lib/languages";
+import { getGistFiles, getGistLanguages, countGistLanguages, getGistSummary } from "../../lib/gists";
+import GistPreview from "../GistPreview";
+import LoadingState from "../LoadingState";
+import ErrorNotice from "../ErrorNotice";
+
+const GistsTab = ({ gists, publicGists, onLoadGist, darkMode, currentTheme }) => {
+  // Loaded file contents by gist id: { status, gist } or { status, error }
+  const [previews, setPreviews] = useState({});
+  const [expanded, setExpanded] = useState([]);
+
+  const list = gists.status === "ready" ? gists.gists : [];
+  const summary = getGistSummary(list);
+  const languageStats = withLanguageColors(summarizeLanguages(countGistLanguages(list)));
+  // Languages rolled into "Other" get its color
+  const colorOf = (language) => languageStats.find(lang => lang.name === language)?.color || OTHER_LANGUAGE_COLOR;
+
+  const togglePreview = (id) => {
+    if (expanded.includes(id)) {
+      setExpanded(expanded.filter(item => item !== id));
+      return;
+    }
+    setExpanded([...expanded, id]);
+    if (previews[id]?.status === "ready" || previews[id]?.status === "loading") return;
+
+    setPreviews(current => ({ ...current, [id]: { status: "loading" } }));
+    onLoadGist(id)
+      .then(gist => setPreviews(current => ({ ...current, [id]: { status: "ready", gist } })))
+      .catch(error => {
+        console.error("Error fetching gist:", error);
+        setPreviews(current => ({ ...current, [id]: { status: "error", error: "Could not load this gist's files." } }));
+      });
+  };
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      {gists.status === "loading" && (
+        <LoadingState message={gists.loaded ? `Loaded ${gists.loaded} gists...` : "Loading gists..."} darkMode={darkMode} />
+      )}
+
+      {gists.status === "error" && (
+        <ErrorNotice error={{ message: gists.error }} darkMode={darkMode} currentTheme={currentTheme} />
+      )}
+
+      {gists.status === "ready" && list.length === 0 && (
+        <div className={`p-8 text-center rounded-lg ${currentTheme.cardBg}`}>
+          <p>This user has no public gists.</p>
+        </div>
+      )}
+
+      {gists.status === "ready" && list.length > 0 && (
+        <>
+          <motion.div variants={itemVariants} className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: "Gists", value: summary.gists, icon: <FileCode size={18} className="mr-2" /> },
+              { label: "Files", value: summary.files, icon: <Files size={18} className="mr-2" /> },
+              { label: "Comments", value: summary.comments, icon: <MessageSquare size={18} className="mr-2" /> },
+              { label: "Last Updated", value: summary.lastUpdated.toLocaleDateString(), icon: <Clock size={18} className="mr-2" /> }
+            ].map(({ label, value, icon }) => (
+              <div key={label} className={`p-3 rounded-lg ${currentTheme.cardBg} shadow-lg flex items-center`}>
+                {icon}
+                <div>
+                  <div className="font-bold">{value}</div>
+                  <div className="text-sm text-gray-400">{label}</div>
+                </div>
+              </div>
+            ))}
+          </motion.div>
+
+          <motion.div variants={itemVariants} className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} mb-6`}>
+            <h3 className="text-lg font-bold mb-4">Gist Languages</h3>
+            <div className="space-y-3">
+              {languageStats.map(lang => (
+                <div key={lang.name} className="flex flex-col" title={lang.languages?.join(", ")}>
+                  <div className="flex justify-between mb-1">
+                    <span>{lang.name}</span>
+                    <span>
+                      <span className={`text-sm mr-2 ${currentTheme.textSecondary}`}>{lang.value} {lang.value === 1 ? "file" : "files"}</span>
+                      {lang.percent.toFixed(1)}%
+                    </span>
+                  </div>
+                  <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                    <motion.div
+                      className="h-full rounded-full"
+                      style={{ backgroundColor: lang.color, width: 0 }}
+                      animate={{ width: `${lang.percent}%` }}
+                      transition={{ duration: 1, delay: 0.2 }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+
+          <motion.div variants={itemVariants}>
+            <p className="text-sm mb-4">
+              {publicGists > list.length
+                ? `Showing the ${list.length} most recent of ${publicGists} public gists`
+                : `${list.length} gists`}
+              {summary.secret > 0 && `, including ${summary.secret} secret`}
+            </p>
+
+            <div className="grid grid-cols-1 gap-4">
+              {list.map(gist => {
+                const files = getGistFiles(gist);
+                const open = expanded.includes(gist.id);
+                const preview = previews[gist.id];
+                return (
+                  <div key={gist.id} className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+                    <div className="flex flex-col md:flex-row md:items-start justify-between gap-3">
+                      <button onClick={() => togglePreview(gist.id)} className="flex items-start text-left">
+                        {open
+                          ? <ChevronDown size={20} className="mr-2 mt-1 flex-shrink-0" />
+                          : <ChevronRight size={20} className="mr-2 mt-1 flex-shrink-0" />}
+                        <div>
+                          <h4 className="text-lg font-bold font-mono flex items-center">
+                            {files[0]?.filename || gist.id}
+                            {!gist.public && (
+                              <span title="Secret gist" className={`ml-2 ${currentTheme.textSecondary}`}><Lock size={14} /></span>
+                            )}
+                          </h4>
+                          <p className={`${currentTheme.textSecondary} mt-1`}>{gist.description || "No description available"}</p>
+                        </div>
+                      </button>
+                      <a
+                        href={gist.html_url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className={`flex items-center self-start px-3 py-1 rounded-lg text-sm ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+                      >
+                        View Gist <ExternalLink size={14} className="ml-1" />
+                      </a>
+                    </div>
+
+                    <div className="flex flex-wrap items-center mt-3 ml-7 gap-3 text-sm">
+                      <span>{files.length} {files.length === 1 ? "file" : "files"}</span>
+                      {getGistLanguages(gist).map(language => (
+                        <span key={language} className="flex items-center">
+                          <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: colorOf(language) }} />
+                          {language}
+                        </span>
+                      ))}
+                      <span>Created {new Date(gist.created_at).toLocaleDateString()}</span>
+                      <span>Updated {new Date(gist.updated_at).toLocaleDateString()}</span>
+                      {gist.comments > 0 && <span>{gist.comments} comments</span>}
+                    </div>
+
+                    {open && (
+                      <div className="mt-4">
+                        {preview?.status === "loading" && (
+                          <p className={`text-sm ${currentTheme.textSecondary}`}>Loading files...</p>
+                        )}
+                        {preview?.status === "error" && (
+                          <p className="text-sm text-red-400">{preview.error}</p>
+                        )}
+                        {preview?.status === "ready" && (
+                          <GistPreview gist={preview.gist} darkMode={darkMode} currentTheme={currentTheme} />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </motion.div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default GistsTab;
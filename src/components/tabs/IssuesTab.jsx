@@ -0,0 +1,184 @@
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from "recharts";
+import { Activity, Eye, CircleDot, GitPullRequest, GitMerge, Clock, ExternalLink } from "lucide-react";
+import { fadeVariants, itemVariants } from "../variants";
+import { formatDuration } from "../../lib/format";
+import { repoNameFromUrl } from "../../lib/issues";
+import LoadingState from "../LoadingState";
+import ErrorNotice from "../ErrorNotice";
+
+const IssuesTab = ({ analytics, login, webUrl, darkMode, currentTheme, tooltipStyle }) => {
+  const [listFilter, setListFilter] = useState("all");
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      {analytics.status === "loading" && <LoadingState message="Searching issues and pull requests..." darkMode={darkMode} />}
+
+      {analytics.status === "error" && (
+        <ErrorNotice error={{ message: analytics.error }} darkMode={darkMode} currentTheme={currentTheme} />
+      )}
+
+      {analytics.status === "ready" && (
+        <>
+          <motion.div variants={itemVariants} className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+            {[
+              { label: "PRs Opened", value: analytics.totals.prs, icon: <GitPullRequest size={18} className="mr-2" /> },
+              { label: "PRs Merged", value: analytics.totals.merged, icon: <GitMerge size={18} className="mr-2" /> },
+              {
+                label: "Merge Rate",
+                value: analytics.totals.prs ? `${((analytics.totals.merged / analytics.totals.prs) * 100).toFixed(0)}%` : "—",
+                icon: <Activity size={18} className="mr-2" />
+              },
+              {
+                label: "Median Time to Merge",
+                value: analytics.medianMergeTime === null ? "—" : formatDuration(analytics.medianMergeTime),
+                icon: <Clock size={18} className="mr-2" />
+              },
+              { label: "Issues Opened", value: analytics.totals.issues, icon: <CircleDot size={18} className="mr-2" /> },
+              { label: "PRs Reviewed", value: analytics.totals.reviewed, icon: <Eye size={18} className="mr-2" /> }
+            ].map(({ label, value, icon }) => (
+              <div key={label} className={`p-3 rounded-lg ${currentTheme.cardBg} shadow-lg flex items-center`}>
+                {icon}
+                <div>
+                  <div className="font-bold">{value}</div>
+                  <div className="text-sm text-gray-400">{label}</div>
+                </div>
+              </div>
+            ))}
+          </motion.div>
+
+          <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+              <h3 className="text-lg font-bold mb-2">Pull Requests Over Time</h3>
+              <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+                Based on the {analytics.sampledPrs} most recent of {analytics.totals.prs} pull requests.
+              </p>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={analytics.timeline} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                    <XAxis dataKey="month" stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                    <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} allowDecimals={false} />
+                    <Tooltip contentStyle={tooltipStyle} />
+                    <Legend />
+                    <Bar dataKey="opened" name="Opened" fill={currentTheme.chartLine} />
+                    <Bar dataKey="merged" name="Merged" fill="#34D399" />
+                    <Bar dataKey="closed" name="Closed unmerged" fill="#F87171" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+              <h3 className="text-lg font-bold mb-4">Top External Repositories</h3>
+              {analytics.externalRepos.length > 0 ? (
+                <div className="space-y-2">
+                  {analytics.externalRepos.map(({ repo, prs, merged }) => (
+                    <a
+                      key={repo}
+                      href={`${webUrl}/${repo}/pulls?q=${encodeURIComponent(`is:pr author:${login}`)}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center justify-between hover:text-purple-400 transition-colors"
+                    >
+                      <span className="truncate">{repo}</span>
+                      <span className={`text-sm ml-4 whitespace-nowrap ${currentTheme.textSecondary}`}>
+                        {prs} PRs · {merged} merged
+                      </span>
+                    </a>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-center py-4">No pull requests to other people's repositories</p>
+              )}
+            </div>
+
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+              <h3 className="text-lg font-bold mb-4">Recent Reviews</h3>
+              {analytics.reviewedItems.length > 0 ? (
+                <div className="space-y-2">
+                  {analytics.reviewedItems.map(item => (
+                    <a
+                      key={item.id}
+                      href={item.html_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block hover:text-purple-400 transition-colors"
+                    >
+                      <div className="truncate">{item.title}</div>
+                      <div className={`text-sm ${currentTheme.textSecondary}`}>
+                        {repoNameFromUrl(item.repository_url)}#{item.number} by {item.user?.login}
+                      </div>
+                    </a>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-center py-4">No reviews of other people's pull requests</p>
+              )}
+            </div>
+          </motion.div>
+
+          <motion.div variants={itemVariants}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold">Recent Issues & Pull Requests</h3>
+              <div className={`flex rounded-lg overflow-hidden text-sm ${currentTheme.secondaryBg}`}>
+                {[
+                  { value: "all", label: "All" },
+                  { value: "pr", label: "PRs" },
+                  { value: "issue", label: "Issues" }
+                ].map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => setListFilter(value)}
+                    className={`px-3 py-1 ${listFilter === value ? `${currentTheme.accent} text-white` : currentTheme.textSecondary}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="space-y-2">
+              {analytics.items
+                .filter(item => listFilter === "all" || (listFilter === "pr") === Boolean(item.pull_request))
+                .map(item => {
+                  const merged = Boolean(item.pull_request?.merged_at);
+                  const stateLabel = merged ? "merged" : item.state;
+                  return (
+                    <a
+                      key={item.id}
+                      href={item.html_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={`flex items-center p-3 rounded-lg ${currentTheme.cardBg} shadow hover:text-purple-400 transition-colors`}
+                    >
+                      {item.pull_request
+                        ? (merged ? <GitMerge size={18} className="mr-3 flex-shrink-0 text-purple-400" /> : <GitPullRequest size={18} className={`mr-3 flex-shrink-0 ${item.state === "open" ? "text-green-400" : "text-red-400"}`} />)
+                        : <CircleDot size={18} className={`mr-3 flex-shrink-0 ${item.state === "open" ? "text-green-400" : "text-purple-400"}`} />}
+                      <div className="min-w-0 flex-1">
+                        <div className="truncate">{item.title}</div>
+                        <div className={`text-sm ${currentTheme.textSecondary}`}>
+                          {repoNameFromUrl(item.repository_url)}#{item.number} · {stateLabel} · opened {new Date(item.created_at).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <ExternalLink size={14} className={`ml-3 flex-shrink-0 ${currentTheme.textSecondary}`} />
+                    </a>
+                  );
+                })}
+              {analytics.items.length === 0 && (
+                <p className={`p-8 text-center rounded-lg ${currentTheme.cardBg}`}>No issues or pull requests found</p>
+              )}
+            </div>
+          </motion.div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default IssuesTab;
@@ -0,0 +1,122 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { fadeVariants, itemVariants } from "../variants";
+import { NETWORK_DEPTHS, NETWORK_NODE_CAPS, NETWORK_PAGE_SIZE, estimateNetworkRequests, getNodeKind } from "../../lib/network";
+import { networkColors } from "../../theme";
+import NetworkGraph from "../charts/NetworkGraph";
+import LoadingState from "../LoadingState";
+import ErrorNotice from "../ErrorNotice";
+
+const LEGEND = [
+  { kind: "contributor", label: "Co-contributor" },
+  { kind: "mutual", label: "Follows each other" },
+  { kind: "follower", label: "Follower" },
+  { kind: "following", label: "Following" },
+  { kind: "extended", label: "Followed by a connection" }
+];
+
+const STRONGEST_LIMIT = 10;
+
+const NetworkTab = ({ network, options, onOptionsChange, repoCount, darkMode, currentTheme, onOpenUser }) => {
+  const selectClass = `p-2 rounded-lg text-sm ${currentTheme.cardBg} ${currentTheme.text} border ${currentTheme.border} focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const strongest = network.status === "ready"
+    ? network.nodes
+      .filter(node => node.depth === 1)
+      .sort((a, b) => b.contributions - a.contributions || b.kinds.length - a.kinds.length)
+      .slice(0, STRONGEST_LIMIT)
+    : [];
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      <motion.div variants={itemVariants} className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} mb-6`}>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-lg font-bold">Collaboration Network</h3>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={options.depth}
+              onChange={(e) => onOptionsChange({ ...options, depth: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {NETWORK_DEPTHS.map(depth => (
+                <option key={depth} value={depth}>{depth === 1 ? "Direct connections" : "Connections of connections"}</option>
+              ))}
+            </select>
+            <select
+              value={options.maxNodes}
+              onChange={(e) => onOptionsChange({ ...options, maxNodes: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {NETWORK_NODE_CAPS.map(cap => (
+                <option key={cap} value={cap}>Up to {cap} people</option>
+              ))}
+            </select>
+            <span className={`text-sm ${currentTheme.textSecondary}`}>
+              Up to {estimateNetworkRequests(repoCount, options.depth)} API requests
+            </span>
+          </div>
+        </div>
+        <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+          The first {NETWORK_PAGE_SIZE} followers and followed accounts, plus contributors to the most starred repositories.
+          {" "}Thicker lines mean more commits. Drag to rearrange, click someone to look them up.
+        </p>
+
+        {network.status === "loading" && <LoadingState message="Loading connections..." darkMode={darkMode} />}
+
+        {network.status === "error" && (
+          <ErrorNotice error={{ message: network.error }} darkMode={darkMode} currentTheme={currentTheme} />
+        )}
+
+        {network.status === "ready" && network.nodes.length === 1 && (
+          <p className={`py-8 text-center ${currentTheme.textSecondary}`}>No followers, followed accounts or co-contributors to show</p>
+        )}
+
+        {network.status === "ready" && network.nodes.length > 1 && (
+          <>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2 text-sm">
+              {LEGEND.map(({ kind, label }) => (
+                <span key={kind} className="flex items-center">
+                  <span className="w-3 h-3 rounded-full mr-1.5" style={{ backgroundColor: networkColors[kind] }} />
+                  {label}
+                </span>
+              ))}
+            </div>
+            {network.failures.length > 0 && (
+              <p className={`text-sm mb-2 ${currentTheme.textSecondary}`}>
+                {network.error || `${network.failures.length} requests failed, so some connections are missing.`}
+              </p>
+            )}
+            <NetworkGraph graph={network} currentTheme={currentTheme} onOpenUser={onOpenUser} />
+          </>
+        )}
+      </motion.div>
+
+      {strongest.length > 0 && (
+        <motion.div variants={itemVariants} className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-3">Strongest Connections</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {strongest.map(node => (
+              <button
+                key={node.id}
+                onClick={() => onOpenUser(node.login)}
+                className={`flex items-center p-2 rounded-lg text-left hover:opacity-80 ${currentTheme.secondaryBg}`}
+              >
+                <img src={node.avatarUrl} alt="" className="w-8 h-8 rounded-full mr-3 border-2" style={{ borderColor: networkColors[getNodeKind(node)] }} />
+                <span className="font-medium mr-2">{node.login}</span>
+                <span className={`text-sm ${currentTheme.textSecondary}`}>
+                  {node.contributions > 0 ? `${node.contributions} commits` : LEGEND.find(item => item.kind === getNodeKind(node)).label}
+                </span>
+              </button>
+            ))}
+          </div>
+        </motion.div>
+      )}
+    </motion.div>
+  );
+};
+
+export default NetworkTab;
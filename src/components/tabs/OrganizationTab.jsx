@@ -0,0 +1,98 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { fadeVariants, itemVariants } from "../variants";
+import { withLanguageColors } from "../../theme";
+import { getMostActiveRepos } from "../../lib/repoFilters";
+import { countLanguages, summarizeLanguages } from "../../lib/languages";
+
+const OrganizationTab = ({ repos, members, currentTheme }) => {
+  const activeRepos = getMostActiveRepos(repos);
+  const languageStats = withLanguageColors(summarizeLanguages(countLanguages(repos)));
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Most Active Repositories</h3>
+          {activeRepos.length > 0 ? (
+            <div className="space-y-3">
+              {activeRepos.map(repo => (
+                <div key={repo.id} className="flex items-center justify-between">
+                  <a
+                    href={repo.html_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-medium truncate hover:text-purple-400 transition-colors"
+                  >
+                    {repo.name}
+                  </a>
+                  <span className={`text-sm ml-4 whitespace-nowrap ${currentTheme.textSecondary}`}>
+                    Pushed {new Date(repo.pushed_at).toLocaleDateString()} · {repo.open_issues_count} open issues
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-center py-4">No active repositories</p>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Languages Across the Organization</h3>
+          {languageStats.length > 0 ? (
+            <div className="space-y-3">
+              {languageStats.map(lang => (
+                <div key={lang.name} className="flex flex-col" title={lang.languages?.join(", ")}>
+                  <div className="flex justify-between mb-1">
+                    <span>{lang.name}</span>
+                    <span>{lang.value} repos · {lang.percent.toFixed(1)}%</span>
+                  </div>
+                  <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                    <motion.div 
+                      className="h-full rounded-full"
+                      style={{ backgroundColor: lang.color, width: 0 }}
+                      animate={{ width: `${lang.percent}%` }}
+                      transition={{ duration: 1, delay: 0.2 }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-center py-4">No language data available</p>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+          <h3 className="text-lg font-bold mb-4">Public Members ({members.length})</h3>
+          {members.length > 0 ? (
+            <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
+              {members.map(member => (
+                <motion.a
+                  key={member.id}
+                  href={member.html_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className={`flex flex-col items-center p-3 rounded-lg ${currentTheme.secondaryBg}`}
+                  whileHover={{ y: -3 }}
+                >
+                  <img src={member.avatar_url} alt={member.login} className="w-12 h-12 rounded-full mb-2" />
+                  <span className="text-sm truncate max-w-full">{member.login}</span>
+                </motion.a>
+              ))}
+            </div>
+          ) : (
+            <p className="text-center py-4">This organization has no public members</p>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default OrganizationTab;
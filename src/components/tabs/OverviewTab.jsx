@@ -0,0 +1,93 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Star, GitFork } from "lucide-react";
+import { languageColors } from "../../theme";
+import { fadeVariants, itemVariants } from "../variants";
+import HealthBadge from "../HealthBadge";
+import ActivityChart from "../charts/ActivityChart";
+import ContributionCalendar from "../charts/ContributionCalendar";
+
+const OverviewTab = ({
+  repos,
+  repoHealth,
+  contributionData,
+  activityMeta,
+  calendar,
+  calendarYear,
+  onCalendarYearChange,
+  isOrg,
+  currentTheme,
+  tooltipStyle,
+  onOpenRepo
+}) => (
+  <motion.div
+    initial="hidden"
+    animate="visible"
+    exit="hidden"
+    variants={fadeVariants}
+  >
+    <motion.div variants={itemVariants} className="mb-8">
+      <h3 className="text-xl font-bold mb-4">Activity Overview</h3>
+      <ActivityChart data={contributionData} meta={activityMeta} currentTheme={currentTheme} tooltipStyle={tooltipStyle} />
+    </motion.div>
+
+    <ContributionCalendar
+      calendar={calendar}
+      year={calendarYear}
+      onYearChange={onCalendarYearChange}
+      isOrg={isOrg}
+      currentTheme={currentTheme}
+    />
+
+    <motion.div variants={itemVariants}>
+      <h3 className="text-xl font-bold mb-4">Popular Repositories</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {[...repos]
+          .sort((a, b) => b.stargazers_count - a.stargazers_count)
+          .slice(0, 4)
+          .map(repo => (
+            <motion.div 
+              key={repo.id} 
+              className={`p-4 rounded-2xl shadow-lg cursor-pointer ${currentTheme.cardBg}`}
+              whileHover={{ y: -5, transition: { duration: 0.2 } }}
+              onClick={() => onOpenRepo(repo)}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <h4 className="text-lg font-bold truncate">{repo.name}</h4>
+                <HealthBadge health={repoHealth.get(repo.id)} />
+              </div>
+              <p className={`text-sm ${currentTheme.textSecondary} h-12 overflow-hidden`}>
+                {repo.description || "No description available"}
+              </p>
+
+              <div className="flex items-center mt-4">
+                {repo.language && (
+                  <div className="flex items-center mr-4">
+                    <div 
+                      className="w-3 h-3 rounded-full mr-1" 
+                      style={{ 
+                        backgroundColor: languageColors[repo.language] || "#" + Math.floor(Math.random()*16777215).toString(16)
+                      }}
+                    ></div>
+                    <span className="text-sm">{repo.language}</span>
+                  </div>
+                )}
+
+                <div className="flex items-center mr-4">
+                  <Star size={14} className="mr-1" />
+                  <span className="text-sm">{repo.stargazers_count}</span>
+                </div>
+
+                <div className="flex items-center">
+                  <GitFork size={14} className="mr-1" />
+                  <span className="text-sm">{repo.forks_count}</span>
+                </div>
+              </div>
+            </motion.div>
+          ))}
+      </div>
+    </motion.div>
+  </motion.div>
+);
+
+export default OverviewTab;
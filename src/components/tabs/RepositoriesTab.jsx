@@ -0,0 +1,287 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Search, Filter, Star, X, AlertTriangle } from "lucide-react";
+import { fadeVariants, itemVariants } from "../variants";
+import { parseRepoQuery, getQuerySuggestions } from "../../lib/repoQuery";
+import { DEFAULT_FILTERS, STATUS_FILTERS } from "../../lib/repoFilters";
+import RepoCard from "../RepoCard";
+
+const RepositoriesTab = ({
+  repos,
+  filteredRepos,
+  repoHealth,
+  filterText,
+  onFilterTextChange,
+  filters,
+  onFiltersChange,
+  sortOption,
+  onSortChange,
+  coverage,
+  currentTheme,
+  onOpenRepo
+}) => {
+  const [showQuerySuggestions, setShowQuerySuggestions] = useState(false);
+
+  const updateFilter = (key, value) => onFiltersChange(current => ({ ...current, [key]: value }));
+
+  const addFilterValue = (key, value) => {
+    if (value && !filters[key].includes(value)) updateFilter(key, [...filters[key], value]);
+  };
+
+  // Options offered by the language and topic pickers, from the loaded repos
+  const repoLanguages = [...new Set(repos.map(repo => repo.language).filter(Boolean))].sort();
+  const repoTopics = [...new Set(repos.flatMap(repo => repo.topics || []))].sort();
+
+  const queryErrors = filterText ? parseRepoQuery(filterText).errors : [];
+  const querySuggestions = showQuerySuggestions
+    ? getQuerySuggestions(filterText, { languages: repoLanguages, topics: repoTopics })
+    : [];
+  const applyQuerySuggestion = (suggestion) => {
+    onFilterTextChange(filterText.replace(/\S*$/, suggestion.completion));
+  };
+
+  // Every active filter as a removable chip
+  const filterChips = [
+    ...(filterText ? [{ id: "text", label: `Query: ${filterText}`, remove: () => onFilterTextChange("") }] : []),
+    ...filters.languages.map(language => ({
+      id: `lang-${language}`,
+      label: `Language: ${language}`,
+      remove: () => updateFilter("languages", filters.languages.filter(item => item !== language))
+    })),
+    ...filters.topics.map(topic => ({
+      id: `topic-${topic}`,
+      label: `Topic: ${topic}`,
+      remove: () => updateFilter("topics", filters.topics.filter(item => item !== topic))
+    })),
+    ...STATUS_FILTERS.filter(({ key }) => filters[key] !== "all").map(({ key, label }) => ({
+      id: key,
+      label: `${filters[key] === "hide" ? "Hide" : "Only"} ${label.toLowerCase()}`,
+      remove: () => updateFilter(key, "all")
+    })),
+    ...(filters.pushedWithinDays ? [{
+      id: "pushed",
+      label: `Pushed within ${filters.pushedWithinDays} days`,
+      remove: () => updateFilter("pushedWithinDays", "")
+    }] : []),
+    ...(filters.minStars ? [{
+      id: "stars",
+      label: `At least ${filters.minStars} stars`,
+      remove: () => updateFilter("minStars", "")
+    }] : [])
+  ];
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      <motion.div variants={itemVariants} className="mb-6">
+        <div className="flex flex-col md:flex-row justify-between gap-4">
+          <div className="flex-1 relative">
+            <div className={`flex items-center px-3 rounded-lg ${currentTheme.cardBg} border ${queryErrors.length > 0 ? "border-red-500" : currentTheme.border}`}>
+              <Search size={18} className={currentTheme.textSecondary} />
+              <input
+                type="text"
+                className={`w-full p-2 outline-none ${currentTheme.cardBg} ${currentTheme.text}`}
+                placeholder="Filter repositories, e.g. lang:rust stars:>50 -is:fork"
+                value={filterText}
+                onChange={(e) => {
+                  onFilterTextChange(e.target.value);
+                  setShowQuerySuggestions(true);
+                }}
+                onFocus={() => setShowQuerySuggestions(true)}
+                onBlur={() => setShowQuerySuggestions(false)}
+                onKeyDown={(e) => {
+                  if (e.key === "Tab" && querySuggestions.length > 0) {
+                    e.preventDefault();
+                    applyQuerySuggestion(querySuggestions[0]);
+                  } else if (e.key === "Escape") {
+                    setShowQuerySuggestions(false);
+                  }
+                }}
+              />
+            </div>
+            {querySuggestions.length > 0 && (
+              <div className={`absolute left-0 right-0 mt-1 rounded-lg shadow-lg z-10 border ${currentTheme.border} ${currentTheme.cardBg}`}>
+                {querySuggestions.map((suggestion, i) => (
+                  <button
+                    key={suggestion.label}
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      applyQuerySuggestion(suggestion);
+                    }}
+                    className={`w-full flex justify-between px-3 py-2 text-sm text-left hover:${currentTheme.secondaryBg}`}
+                  >
+                    <span className="font-mono">{suggestion.label}</span>
+                    <span className={currentTheme.textSecondary}>
+                      {suggestion.hint && `e.g. ${suggestion.hint}`}
+                      {i === 0 && " (Tab)"}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+            {queryErrors.length > 0 && (
+              <div className="mt-1 space-y-0.5">
+                {queryErrors.map(({ token, message }, i) => (
+                  <p key={`${i} ${token}`} className="text-sm text-red-400 flex items-center">
+                    <AlertTriangle size={14} className="mr-1 flex-shrink-0" /> {message}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex">
+            <div className={`flex items-center ${currentTheme.cardBg} ${currentTheme.border} border rounded-lg overflow-hidden`}>
+              <Filter size={18} className={`ml-3 ${currentTheme.textSecondary}`} />
+              <select
+                value={sortOption}
+                onChange={(e) => onSortChange(e.target.value)}
+                className={`p-2 outline-none cursor-pointer ${currentTheme.cardBg} ${currentTheme.text}`}
+              >
+                <option value="updated">Recently Updated</option>
+                <option value="created">Recently Created</option>
+                <option value="stars">Most Stars</option>
+                <option value="forks">Most Forks</option>
+                <option value="issues">Most Open Issues</option>
+                <option value="size">Largest</option>
+                <option value="name">Name</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-3 text-sm">
+          <select
+            value=""
+            onChange={(e) => addFilterValue("languages", e.target.value)}
+            className={`p-2 rounded-lg outline-none cursor-pointer border ${currentTheme.border} ${currentTheme.cardBg} ${currentTheme.text}`}
+          >
+            <option value="">Language...</option>
+            {repoLanguages.filter(language => !filters.languages.includes(language)).map(language => (
+              <option key={language} value={language}>{language}</option>
+            ))}
+          </select>
+
+          <select
+            value=""
+            onChange={(e) => addFilterValue("topics", e.target.value)}
+            disabled={repoTopics.length === 0}
+            className={`p-2 rounded-lg outline-none cursor-pointer border ${currentTheme.border} ${currentTheme.cardBg} ${currentTheme.text}`}
+          >
+            <option value="">{repoTopics.length === 0 ? "No topics" : "Topic..."}</option>
+            {repoTopics.filter(topic => !filters.topics.includes(topic)).map(topic => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+
+          {STATUS_FILTERS.map(({ key, label }) => (
+            <select
+              key={key}
+              value={filters[key]}
+              onChange={(e) => updateFilter(key, e.target.value)}
+              className={`p-2 rounded-lg outline-none cursor-pointer border ${currentTheme.border} ${currentTheme.cardBg} ${currentTheme.text}`}
+            >
+              <option value="all">{label}: show</option>
+              <option value="hide">{label}: hide</option>
+              <option value="only">{label}: only</option>
+            </select>
+          ))}
+
+          <label className={`flex items-center px-2 rounded-lg border ${currentTheme.border} ${currentTheme.cardBg}`}>
+            <span className={currentTheme.textSecondary}>Pushed within</span>
+            <input
+              type="number"
+              min="1"
+              value={filters.pushedWithinDays}
+              onChange={(e) => updateFilter("pushedWithinDays", e.target.value)}
+              className={`w-16 p-2 outline-none ${currentTheme.cardBg} ${currentTheme.text}`}
+              placeholder="N"
+            />
+            <span className={currentTheme.textSecondary}>days</span>
+          </label>
+
+          <label className={`flex items-center px-2 rounded-lg border ${currentTheme.border} ${currentTheme.cardBg}`}>
+            <Star size={14} className={`mr-1 ${currentTheme.textSecondary}`} />
+            <span className={currentTheme.textSecondary}>Min</span>
+            <input
+              type="number"
+              min="0"
+              value={filters.minStars}
+              onChange={(e) => updateFilter("minStars", e.target.value)}
+              className={`w-16 p-2 outline-none ${currentTheme.cardBg} ${currentTheme.text}`}
+              placeholder="0"
+            />
+          </label>
+        </div>
+
+        {filterChips.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            {filterChips.map(chip => (
+              <span
+                key={chip.id}
+                className={`flex items-center pl-3 pr-1 py-1 rounded-full text-sm ${currentTheme.secondaryBg}`}
+              >
+                {chip.label}
+                <button onClick={chip.remove} className="ml-1 p-0.5 rounded-full hover:text-purple-400" title="Remove filter">
+                  <X size={14} />
+                </button>
+              </span>
+            ))}
+            <button
+              onClick={() => {
+                onFilterTextChange("");
+                onFiltersChange(DEFAULT_FILTERS);
+              }}
+              className={`text-sm underline ${currentTheme.textSecondary}`}
+            >
+              Clear all
+            </button>
+          </div>
+        )}
+      </motion.div>
+
+      <motion.div variants={itemVariants} layout>
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <p className="text-sm">
+            {filteredRepos.length} repositories found
+          </p>
+          {coverage}
+        </div>
+
+        <AnimatePresence>
+          {filteredRepos.length === 0 && (
+            <motion.div 
+              className={`p-8 text-center rounded-lg ${currentTheme.cardBg}`}
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+            >
+              <p>No repositories match your filter criteria.</p>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        <div className="grid grid-cols-1 gap-4">
+          <AnimatePresence>
+            {filteredRepos.map(repo => (
+              <RepoCard
+                key={repo.id}
+                repo={repo}
+                health={repoHealth.get(repo.id)}
+                currentTheme={currentTheme}
+                onOpen={onOpenRepo}
+                onTopicClick={(topic) => addFilterValue("topics", topic)}
+              />
+            ))}
+          </AnimatePresence>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default RepositoriesTab;
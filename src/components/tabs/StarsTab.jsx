@@ -0,0 +1,208 @@
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { Search, Filter, X } from "lucide-react";
+import { fadeVariants, itemVariants } from "../variants";
+import { withLanguageColors } from "../../theme";
+import { DEFAULT_FILTERS, filterRepos } from "../../lib/repoFilters";
+import { countLanguages, summarizeLanguages, formatLanguageValue } from "../../lib/languages";
+import { STARRED_SORT_OPTIONS, STARRED_TIMELINE_MONTHS, sortStarred, countTopics, buildStarredTimeline } from "../../lib/starred";
+import RepoCard from "../RepoCard";
+import LoadingState from "../LoadingState";
+import ErrorNotice from "../ErrorNotice";
+
+// Starred repositories belong to other people, so cards open on GitHub instead of the drill-down
+const openOnGitHub = (repo) => window.open(repo.html_url, "_blank", "noopener,noreferrer");
+
+const StarsTab = ({ starred, darkMode, currentTheme, tooltipStyle }) => {
+  const [filterText, setFilterText] = useState("");
+  const [sortOption, setSortOption] = useState("starred");
+  const [language, setLanguage] = useState("");
+  const [topic, setTopic] = useState("");
+
+  const repos = starred.status === "ready" ? starred.repos : [];
+  const shown = sortStarred(filterRepos(repos, filterText, {
+    ...DEFAULT_FILTERS,
+    languages: language ? [language] : [],
+    topics: topic ? [topic] : []
+  }), sortOption);
+  const languageStats = withLanguageColors(summarizeLanguages(countLanguages(repos)));
+  const topics = countTopics(repos);
+  const timeline = buildStarredTimeline(repos);
+
+  const filterChips = [
+    ...(language ? [{ id: "lang", label: `Language: ${language}`, remove: () => setLanguage("") }] : []),
+    ...(topic ? [{ id: "topic", label: `Topic: ${topic}`, remove: () => setTopic("") }] : [])
+  ];
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      {starred.status === "loading" && (
+        <LoadingState
+          message={starred.loaded ? `Loaded ${starred.loaded} starred repositories...` : "Loading starred repositories..."}
+          darkMode={darkMode}
+        />
+      )}
+
+      {starred.status === "error" && (
+        <ErrorNotice error={{ message: starred.error }} darkMode={darkMode} currentTheme={currentTheme} />
+      )}
+
+      {starred.status === "ready" && repos.length === 0 && (
+        <div className={`p-8 text-center rounded-lg ${currentTheme.cardBg}`}>
+          <p>This user hasn't starred any repositories.</p>
+        </div>
+      )}
+
+      {starred.status === "ready" && repos.length > 0 && (
+        <>
+          <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+              <h3 className="text-lg font-bold mb-4">Starred Languages</h3>
+              {languageStats.length > 0 ? (
+                <div className="space-y-3">
+                  {languageStats.map(lang => (
+                    <button
+                      key={lang.name}
+                      onClick={() => setLanguage(lang.name)}
+                      disabled={Boolean(lang.languages)}
+                      className="w-full flex flex-col text-left"
+                      title={lang.languages?.join(", ")}
+                    >
+                      <div className="w-full flex justify-between mb-1">
+                        <span>{lang.name}</span>
+                        <span>
+                          <span className={`text-sm mr-2 ${currentTheme.textSecondary}`}>{formatLanguageValue(lang, "count")}</span>
+                          {lang.percent.toFixed(1)}%
+                        </span>
+                      </div>
+                      <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                        <motion.div
+                          className="h-full rounded-full"
+                          style={{ backgroundColor: lang.color, width: 0 }}
+                          animate={{ width: `${lang.percent}%` }}
+                          transition={{ duration: 1, delay: 0.2 }}
+                        />
+                      </div>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-center py-4">No language data available</p>
+              )}
+            </div>
+
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+              <h3 className="text-lg font-bold mb-4">Starred Topics</h3>
+              {topics.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {topics.map(({ name, value }) => (
+                    <button
+                      key={name}
+                      onClick={() => setTopic(name)}
+                      className="px-3 py-1 rounded-full text-sm bg-purple-500/20 text-purple-400 hover:bg-purple-500/30"
+                    >
+                      {name} <span className="font-bold">{value}</span>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-center py-4">No topics on starred repositories</p>
+              )}
+            </div>
+
+            <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+              <h3 className="text-lg font-bold mb-4">Starred per Month</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={timeline} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={currentTheme.chartGrid} />
+                    <XAxis dataKey="month" stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} />
+                    <YAxis stroke={currentTheme.textSecondary} tick={{ fontSize: 12 }} allowDecimals={false} />
+                    <Tooltip contentStyle={tooltipStyle} />
+                    <Bar dataKey="starred" name="Starred" fill={currentTheme.chartLine} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <p className={`text-sm mt-2 ${currentTheme.textSecondary}`}>
+                Repositories starred in each of the last {STARRED_TIMELINE_MONTHS} months
+                {!starred.complete && `, from the ${repos.length} most recent stars`}.
+              </p>
+            </div>
+          </motion.div>
+
+          <motion.div variants={itemVariants} className="mb-6">
+            <div className="flex flex-col md:flex-row justify-between gap-4">
+              <div className={`flex-1 flex items-center px-3 rounded-lg ${currentTheme.cardBg} border ${currentTheme.border}`}>
+                <Search size={18} className={currentTheme.textSecondary} />
+                <input
+                  type="text"
+                  className={`w-full p-2 outline-none ${currentTheme.cardBg} ${currentTheme.text}`}
+                  placeholder="Filter starred repositories, e.g. lang:rust stars:>1000"
+                  value={filterText}
+                  onChange={(e) => setFilterText(e.target.value)}
+                />
+              </div>
+              <div className={`flex items-center ${currentTheme.cardBg} ${currentTheme.border} border rounded-lg overflow-hidden`}>
+                <Filter size={18} className={`ml-3 ${currentTheme.textSecondary}`} />
+                <select
+                  value={sortOption}
+                  onChange={(e) => setSortOption(e.target.value)}
+                  className={`p-2 outline-none cursor-pointer ${currentTheme.cardBg} ${currentTheme.text}`}
+                >
+                  {STARRED_SORT_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {filterChips.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-3">
+                {filterChips.map(chip => (
+                  <span
+                    key={chip.id}
+                    className={`flex items-center pl-3 pr-1 py-1 rounded-full text-sm ${currentTheme.secondaryBg}`}
+                  >
+                    {chip.label}
+                    <button onClick={chip.remove} className="ml-1 p-0.5 rounded-full hover:text-purple-400" title="Remove filter">
+                      <X size={14} />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </motion.div>
+
+          <motion.div variants={itemVariants} layout>
+            <p className="text-sm mb-4">
+              {shown.length} of {repos.length} starred repositories
+              {!starred.complete && " (only the most recent stars were loaded)"}
+            </p>
+
+            <div className="grid grid-cols-1 gap-4">
+              <AnimatePresence>
+                {shown.map(repo => (
+                  <RepoCard
+                    key={repo.id}
+                    repo={repo}
+                    currentTheme={currentTheme}
+                    onOpen={openOnGitHub}
+                    onTopicClick={setTopic}
+                  />
+                ))}
+              </AnimatePresence>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default StarsTab;
@@ -0,0 +1,204 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { AlertTriangle } from "lucide-react";
+import { fadeVariants, itemVariants } from "../variants";
+import { getActivityCounters } from "../../lib/repoFilters";
+import { getReposNeedingAttention } from "../../lib/health";
+import { formatLanguageValue } from "../../lib/languages";
+import HealthBadge from "../HealthBadge";
+import StarHistoryChart from "../charts/StarHistoryChart";
+import PunchCardChart from "../charts/PunchCardChart";
+
+const StatsTab = ({
+  repos,
+  repoHealth,
+  healthThresholds,
+  languageMode,
+  onLanguageModeChange,
+  languageBytes,
+  onConfirmLanguageBytes,
+  rateLimit,
+  languageStats,
+  starHistory,
+  starTimelineData,
+  starTotalLabel,
+  starSelection,
+  onToggleStarRepo,
+  punchCard,
+  statsRequests,
+  onConfirmStats,
+  coverage,
+  currentTheme,
+  tooltipStyle,
+  onOpenRepo
+}) => {
+  const activityCounters = getActivityCounters(repos);
+  const needsAttention = getReposNeedingAttention(repos, repoHealth, healthThresholds);
+
+  return (
+    <motion.div
+      initial="hidden"
+      animate="visible"
+      exit="hidden"
+      variants={fadeVariants}
+    >
+      <motion.div variants={itemVariants} className="mb-4">
+        {coverage}
+      </motion.div>
+
+      {statsRequests !== null && (
+        <motion.div variants={itemVariants} className={`p-4 mb-6 rounded-2xl shadow-lg text-center ${currentTheme.cardBg}`}>
+          <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+            Star history and punch cards take up to {statsRequests} requests
+            {rateLimit && `, with ${rateLimit.remaining} of ${rateLimit.limit} left this hour`}.
+            {" "}Add a personal access token in settings for a higher limit.
+          </p>
+          <button
+            onClick={onConfirmStats}
+            className={`px-3 py-1 rounded-lg text-sm ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+          >
+            Load anyway
+          </button>
+        </motion.div>
+      )}
+
+      <motion.div variants={itemVariants} className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold">Top Languages</h3>
+            <div className={`flex rounded-lg overflow-hidden text-sm ${currentTheme.secondaryBg}`}>
+              {[
+                { mode: "count", label: "By repos" },
+                { mode: "bytes", label: "By bytes" }
+              ].map(({ mode, label }) => (
+                <button
+                  key={mode}
+                  onClick={() => onLanguageModeChange(mode)}
+                  className={`px-3 py-1 ${languageMode === mode ? `${currentTheme.accent} text-white` : currentTheme.textSecondary}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {languageMode === "bytes" && languageBytes.status === "confirm" ? (
+            <div className="py-4 text-center">
+              <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+                Counting bytes takes one request per repository: {languageBytes.total} requests
+                {rateLimit && `, with ${rateLimit.remaining} of ${rateLimit.limit} left this hour`}.
+                {" "}Add a personal access token in settings for a higher limit.
+              </p>
+              <button
+                onClick={onConfirmLanguageBytes}
+                className={`px-3 py-1 rounded-lg text-sm ${currentTheme.accent} hover:${currentTheme.accentHover} text-white transition-colors`}
+              >
+                Count bytes anyway
+              </button>
+            </div>
+          ) : languageMode === "bytes" && languageBytes.status === "error" ? (
+            <p className="text-center py-4 text-sm text-red-400">{languageBytes.error}</p>
+          ) : languageMode === "bytes" && languageBytes.status === "loading" ? (
+            <div className="py-4">
+              <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                <div
+                  className="h-full rounded-full bg-purple-500 transition-all"
+                  style={{ width: `${(languageBytes.loaded / languageBytes.total) * 100}%` }}
+                />
+              </div>
+              <p className={`text-sm text-center mt-2 ${currentTheme.textSecondary}`}>
+                Counting bytes in {languageBytes.loaded} of {languageBytes.total} repositories...
+              </p>
+            </div>
+          ) : languageStats.length > 0 ? (
+            <div className="space-y-3">
+              {languageStats.map(lang => (
+                <div key={lang.name} className="flex flex-col" title={lang.languages?.join(", ")}>
+                  <div className="flex justify-between mb-1">
+                    <span>{lang.name}</span>
+                    <span>
+                      <span className={`text-sm mr-2 ${currentTheme.textSecondary}`}>{formatLanguageValue(lang, languageMode)}</span>
+                      {lang.percent.toFixed(1)}%
+                    </span>
+                  </div>
+                  <div className={`w-full h-2 rounded-full ${currentTheme.secondaryBg}`}>
+                    <motion.div 
+                      className="h-full rounded-full"
+                      style={{ backgroundColor: lang.color, width: 0 }}
+                      animate={{ width: `${lang.percent}%` }}
+                      transition={{ duration: 1, delay: 0.2 }}
+                    />
+                  </div>
+                </div>
+              ))}
+              {languageMode === "bytes" && languageBytes.failed > 0 && (
+                <p className={`text-sm ${currentTheme.textSecondary}`}>
+                  Byte counts for {languageBytes.failed} repositories could not be loaded.
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-center py-4">No language data available</p>
+          )}
+        </div>
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg}`}>
+          <h3 className="text-lg font-bold mb-4">Repository Activity</h3>
+          <div className="space-y-3">
+            {activityCounters.map(({ label, value }) => (
+              <div key={label} className="flex items-center justify-between">
+                <span>{label}</span>
+                <span className="font-bold">{value}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <PunchCardChart punchCard={punchCard} currentTheme={currentTheme} />
+
+        <div className={`p-4 rounded-2xl shadow-lg ${currentTheme.cardBg} md:col-span-2`}>
+          <h3 className="text-lg font-bold mb-2 flex items-center">
+            <AlertTriangle size={18} className="mr-2" /> Needs Attention
+          </h3>
+          <p className={`text-sm mb-3 ${currentTheme.textSecondary}`}>
+            Repositories (excluding forks) with a health score below {healthThresholds.attentionScore}. Thresholds can be changed in settings.
+          </p>
+          {needsAttention.length > 0 ? (
+            <div className="space-y-2">
+              {needsAttention.map(repo => {
+                const health = repoHealth.get(repo.id);
+                return (
+                  <button
+                    key={repo.id}
+                    onClick={() => onOpenRepo(repo)}
+                    className={`w-full text-left p-3 rounded-lg ${currentTheme.secondaryBg} hover:opacity-80 transition-opacity`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-bold truncate">{repo.name}</span>
+                      <HealthBadge health={health} />
+                    </div>
+                    <div className={`text-sm ${currentTheme.textSecondary}`}>{health.reasons.join(" · ")}</div>
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="text-center py-4">Every repository is in good shape</p>
+          )}
+        </div>
+
+        <StarHistoryChart
+          starHistory={starHistory}
+          timeline={starTimelineData}
+          totalLabel={starTotalLabel}
+          selection={starSelection}
+          onToggle={onToggleStarRepo}
+          currentTheme={currentTheme}
+          tooltipStyle={tooltipStyle}
+        />
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default StatsTab;
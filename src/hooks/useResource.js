@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef } from "react";
+
+const IDLE = { status: "idle" };
+
+// Loads data for `key` while `enabled` is set and keeps it for as long as the key stays the
+// same, so going back to a tab or a mode reuses what was loaded instead of requesting it again.
+// Keys are compared with ===; null means there is nothing to load. Data loaded for any other
+// key reads as idle.
+//
+// `load({ signal, onProgress })` resolves to the fields of the ready state, and onProgress
+// merges fields into the loading state. Disabling or changing the key aborts an unfinished
+// load, which then starts over the next time, as does one that failed. The optional
+// `describeError` turns a failure into the message shown; `label` names the data in the console.
+export const useResource = (key, load, { enabled = true, label, describeError }) => {
+  const [state, setState] = useState({ key: null, ...IDLE });
+  const loadedKeyRef = useRef(null);
+  // Always call the latest closures, without reloading when only they change. Declared
+  // before the load effect, so it runs first.
+  const loadRef = useRef(load);
+  const describeErrorRef = useRef(describeError);
+  useEffect(() => {
+    loadRef.current = load;
+    describeErrorRef.current = describeError;
+  });
+
+  useEffect(() => {
+    if (!enabled || key === null || loadedKeyRef.current === key) return;
+
+    const controller = new AbortController();
+    let finished = false;
+    loadedKeyRef.current = key;
+    setState({ key, status: "loading" });
+
+    loadRef.current({
+      signal: controller.signal,
+      onProgress: progress => {
+        if (!controller.signal.aborted) setState(current => ({ ...current, ...progress }));
+      }
+    })
+      .then(result => {
+        if (controller.signal.aborted) return;
+        finished = true;
+        setState({ key, status: "ready", ...result });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error(`Error fetching ${label}:`, error);
+        setState({ key, status: "error", error: describeErrorRef.current?.(error) });
+      });
+
+    return () => {
+      controller.abort();
+      if (!finished) loadedKeyRef.current = null;
+    };
+  }, [key, enabled, label]);
+
+  return state.key === key && key !== null ? state : IDLE;
+};
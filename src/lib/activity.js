@@ -0,0 +1,32 @@
+import { startOfWeek } from "./dates";
+
+export const ACTIVITY_WEEKS = 26;
+
+// Bucket public events and weekly commit counts into the last ACTIVITY_WEEKS weeks
+export const buildActivityBuckets = (events, commitWeeks) => {
+  const firstWeek = startOfWeek(new Date());
+  firstWeek.setUTCDate(firstWeek.getUTCDate() - (ACTIVITY_WEEKS - 1) * 7);
+
+  const buckets = new Map();
+  for (let i = 0; i < ACTIVITY_WEEKS; i++) {
+    const week = new Date(firstWeek);
+    week.setUTCDate(week.getUTCDate() + i * 7);
+    buckets.set(week.getTime(), {
+      date: week.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+      commits: 0,
+      events: 0
+    });
+  }
+
+  commitWeeks.forEach(({ w, c }) => {
+    const bucket = buckets.get(w * 1000);
+    if (bucket) bucket.commits += c;
+  });
+
+  events.forEach(event => {
+    const bucket = buckets.get(startOfWeek(event.created_at).getTime());
+    if (bucket) bucket.events += 1;
+  });
+
+  return [...buckets.values()];
+};
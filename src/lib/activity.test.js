@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ACTIVITY_WEEKS, buildActivityBuckets } from "./activity";
+import events from "../fixtures/events.json";
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("buildActivityBuckets", () => {
+  it("creates one bucket per week ending with the current week", () => {
+    const buckets = buildActivityBuckets([], []);
+    expect(buckets).toHaveLength(ACTIVITY_WEEKS);
+    expect(buckets[0].date).toBe("Dec 22");
+    expect(buckets.at(-1)).toEqual({ date: "Jun 15", commits: 0, events: 0 });
+  });
+
+  it("adds commit weeks by their Unix timestamp and ignores older ones", () => {
+    const buckets = buildActivityBuckets([], [
+      { w: Date.UTC(2025, 5, 8) / 1000, c: 5 },
+      { w: Date.UTC(2025, 5, 8) / 1000, c: 2 },
+      { w: Date.UTC(2020, 0, 5) / 1000, c: 9 }
+    ]);
+    expect(buckets.find(bucket => bucket.date === "Jun 8").commits).toBe(7);
+    expect(buckets.reduce((sum, bucket) => sum + bucket.commits, 0)).toBe(7);
+  });
+
+  it("counts public events in the week they happened", () => {
+    const buckets = buildActivityBuckets(events, []);
+    expect(buckets.find(bucket => bucket.date === "Jun 8").events).toBe(4);
+    expect(buckets.reduce((sum, bucket) => sum + bucket.events, 0)).toBe(events.length);
+  });
+});
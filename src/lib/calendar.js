@@ -0,0 +1,80 @@
+import { startOfWeek, toDateKey } from "./dates";
+
+export const CALENDAR_WEEKS = 52;
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// The calendar range: a calendar year, or the CALENDAR_WEEKS weeks up to today
+export const getCalendarRange = (year) => {
+  if (year) {
+    const endOfYear = new Date(Date.UTC(year, 11, 31, 23, 59, 59));
+    return {
+      from: new Date(Date.UTC(year, 0, 1)),
+      to: endOfYear > new Date() ? new Date() : endOfYear
+    };
+  }
+  const from = startOfWeek(new Date());
+  from.setUTCDate(from.getUTCDate() - (CALENDAR_WEEKS - 1) * 7);
+  return { from, to: new Date() };
+};
+
+// Lay the range out as week columns of seven days; days outside the range are null
+export const buildCalendarWeeks = (from, to, counts) => {
+  const weeks = [];
+  const last = toDateKey(to);
+  for (let day = startOfWeek(from); toDateKey(day) <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() === 0) weeks.push([]);
+    const key = toDateKey(day);
+    weeks[weeks.length - 1].push(day < from ? null : { date: key, count: counts.get(key) || 0 });
+  }
+  return weeks;
+};
+
+// Current and longest runs of active days, plus the weekday with the most activity
+export const getCalendarStats = (weeks, includesToday) => {
+  const days = weeks.flat().filter(Boolean);
+  let longest = 0;
+  let run = 0;
+  const weekdayTotals = Array(7).fill(0);
+
+  days.forEach(day => {
+    run = day.count > 0 ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    weekdayTotals[new Date(day.date).getUTCDay()] += day.count;
+  });
+
+  let current = null;
+  if (includesToday) {
+    // Today doesn't break the streak until it is over
+    let i = days.length - 1;
+    if (i >= 0 && days[i].count === 0) i--;
+    current = 0;
+    while (i >= 0 && days[i].count > 0) {
+      current++;
+      i--;
+    }
+  }
+
+  const busiest = weekdayTotals.indexOf(Math.max(...weekdayTotals));
+  return {
+    total: days.reduce((sum, day) => sum + day.count, 0),
+    activeDays: days.filter(day => day.count > 0).length,
+    current,
+    longest,
+    busiestWeekday: weekdayTotals[busiest] > 0 ? WEEKDAY_NAMES[busiest] : null,
+    max: Math.max(0, ...days.map(day => day.count))
+  };
+};
+
+// Quartile intensity level from 0 (no activity) to 4, like GitHub's own calendar
+export const getCalendarLevel = (count, max) => {
+  if (count === 0 || max === 0) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+};
+
+// A month label above the first week of each month, blank elsewhere
+export const getCalendarMonthLabels = (weeks) => weeks.map((week, i) => {
+  const first = week.find(Boolean);
+  const previous = weeks[i - 1]?.find(Boolean);
+  if (!first || (previous && previous.date.slice(5, 7) === first.date.slice(5, 7))) return "";
+  return new Date(first.date).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  getCalendarRange,
+  buildCalendarWeeks,
+  getCalendarStats,
+  getCalendarLevel,
+  getCalendarMonthLabels
+} from "./calendar";
+
+const counts = new Map(Object.entries({
+  "2025-06-04": 1,
+  "2025-06-05": 2,
+  "2025-06-07": 3,
+  "2025-06-08": 1,
+  "2025-06-09": 4,
+  "2025-06-13": 1,
+  "2025-06-14": 2
+}));
+const from = new Date("2025-06-04T00:00:00Z");
+const to = new Date("2025-06-15T12:00:00Z");
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(to);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("getCalendarRange", () => {
+  it("covers a past year in full", () => {
+    const range = getCalendarRange(2024);
+    expect(range.from.toISOString()).toBe("2024-01-01T00:00:00.000Z");
+    expect(range.to.toISOString()).toBe("2024-12-31T23:59:59.000Z");
+  });
+
+  it("stops the current year and the default range at today", () => {
+    expect(getCalendarRange(2025).to).toEqual(to);
+    const range = getCalendarRange();
+    expect(range.to).toEqual(to);
+    expect(range.from.toISOString()).toBe("2024-06-23T00:00:00.000Z");
+  });
+});
+
+describe("buildCalendarWeeks", () => {
+  it("lays days out in Sunday-first weeks with blanks before the range", () => {
+    const weeks = buildCalendarWeeks(from, to, counts);
+    expect(weeks.map(week => week.length)).toEqual([7, 7, 1]);
+    expect(weeks[0].slice(0, 4)).toEqual([null, null, null, { date: "2025-06-04", count: 1 }]);
+    expect(weeks[2]).toEqual([{ date: "2025-06-15", count: 0 }]);
+  });
+});
+
+describe("getCalendarStats", () => {
+  const weeks = buildCalendarWeeks(from, to, counts);
+
+  it("totals the range and finds the busiest weekday", () => {
+    expect(getCalendarStats(weeks, true)).toEqual({
+      total: 14,
+      activeDays: 7,
+      current: 2,
+      longest: 3,
+      busiestWeekday: "Saturday",
+      max: 4
+    });
+  });
+
+  it("has no current streak when the range ends before today", () => {
+    expect(getCalendarStats(weeks, false).current).toBeNull();
+  });
+
+  it("handles a range without activity", () => {
+    const stats = getCalendarStats(buildCalendarWeeks(from, to, new Map()), true);
+    expect(stats).toMatchObject({ total: 0, current: 0, longest: 0, busiestWeekday: null, max: 0 });
+  });
+});
+
+describe("getCalendarLevel", () => {
+  it("maps counts to quartiles of the busiest day", () => {
+    expect([0, 1, 2, 3, 4].map(count => getCalendarLevel(count, 4))).toEqual([0, 1, 2, 3, 4]);
+    expect(getCalendarLevel(3, 100)).toBe(1);
+    expect(getCalendarLevel(0, 0)).toBe(0);
+  });
+});
+
+describe("getCalendarMonthLabels", () => {
+  it("labels the first week of each month", () => {
+    const weeks = buildCalendarWeeks(new Date("2025-05-28T00:00:00Z"), to, counts);
+    expect(getCalendarMonthLabels(weeks)).toEqual(["May", "Jun", "", ""]);
+  });
+});
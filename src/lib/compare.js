@@ -0,0 +1,44 @@
+import { countLanguages, summarizeLanguages } from "./languages";
+
+export const COMPARE_MAX_USERS = 6;
+
+// Unique, lower-cased names from a comma or space separated list
+export const parseCompareNames = (input) =>
+  [...new Set(input.split(/[\s,]+/).filter(Boolean).map(name => name.toLowerCase()))];
+
+export const buildCompareSummary = (comparison) => comparison.map(({ profile, repos }) => ({
+  login: profile.login,
+  followers: profile.followers,
+  repos: repos.length,
+  stars: repos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+  forks: repos.reduce((sum, repo) => sum + repo.forks_count, 0)
+}));
+
+// Comparison datasets share one set of axes, keyed by each user's login
+export const buildCompareMetrics = (summary) => ["followers", "repos", "stars", "forks"].map(metric => ({
+  metric: metric[0].toUpperCase() + metric.slice(1),
+  ...Object.fromEntries(summary.map(entry => [entry.login, entry[metric]]))
+}));
+
+export const buildCompareLanguages = (comparison) => {
+  const perUser = comparison.map(({ profile, repos }) => ({
+    login: profile.login,
+    stats: summarizeLanguages(countLanguages(repos))
+  }));
+  const names = [...new Set(perUser.flatMap(user => user.stats.map(lang => lang.name)))];
+  return names.map(name => ({
+    language: name,
+    ...Object.fromEntries(perUser.map(user => {
+      const lang = user.stats.find(stat => stat.name === name);
+      return [user.login, lang ? Number(lang.percent.toFixed(1)) : 0];
+    }))
+  }));
+};
+
+export const buildCompareActivity = (comparison, metric) => {
+  const withActivity = comparison.filter(entry => entry.activity.data.length > 0);
+  return (withActivity[0]?.activity.data || []).map((week, i) => ({
+    date: week.date,
+    ...Object.fromEntries(withActivity.map(entry => [entry.profile.login, entry.activity.data[i][metric]]))
+  }));
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCompareNames,
+  buildCompareSummary,
+  buildCompareMetrics,
+  buildCompareLanguages,
+  buildCompareActivity
+} from "./compare";
+import user from "../fixtures/user.json";
+import repos from "../fixtures/repos.json";
+
+const comparison = [
+  {
+    profile: user,
+    repos,
+    activity: { data: [{ date: "Jun 1", commits: 3, events: 1 }, { date: "Jun 8", commits: 0, events: 2 }] }
+  },
+  {
+    profile: { login: "other", followers: 5 },
+    repos: [{ name: "tool", language: "Rust", stargazers_count: 2, forks_count: 1 }],
+    activity: { data: [] }
+  }
+];
+
+describe("parseCompareNames", () => {
+  it("splits on commas and spaces and drops duplicates", () => {
+    expect(parseCompareNames("Alice, bob  alice,,Carol")).toEqual(["alice", "bob", "carol"]);
+  });
+});
+
+describe("compare datasets", () => {
+  const summary = buildCompareSummary(comparison);
+
+  it("sums stars and forks per user", () => {
+    expect(summary).toEqual([
+      { login: "demo-user", followers: 342, repos: 8, stars: 199, forks: 40 },
+      { login: "other", followers: 5, repos: 1, stars: 2, forks: 1 }
+    ]);
+  });
+
+  it("keys every metric by login", () => {
+    expect(buildCompareMetrics(summary)).toContainEqual({ metric: "Followers", "demo-user": 342, other: 5 });
+  });
+
+  it("fills languages a user doesn't have with zero", () => {
+    const languages = buildCompareLanguages(comparison);
+    expect(languages.find(row => row.language === "JavaScript")).toEqual({ language: "JavaScript", "demo-user": 28.6, other: 0 });
+    expect(languages.find(row => row.language === "Rust")).toEqual({ language: "Rust", "demo-user": 14.3, other: 100 });
+  });
+
+  it("leaves users without activity out of the activity chart", () => {
+    expect(buildCompareActivity(comparison, "commits")).toEqual([
+      { date: "Jun 1", "demo-user": 3 },
+      { date: "Jun 8", "demo-user": 0 }
+    ]);
+  });
+});
@@ -0,0 +1,11 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the UTC week (Sunday) containing the date, matching GitHub's stats weeks
+export const startOfWeek = (date) => {
+  const week = new Date(date);
+  week.setUTCHours(0, 0, 0, 0);
+  week.setUTCDate(week.getUTCDate() - week.getUTCDay());
+  return week;
+};
+
+export const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
@@ -0,0 +1,61 @@
+// Columns shared by the CSV and JSON repository exports
+const EXPORT_COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "description", label: "Description" },
+  { key: "language", label: "Language" },
+  { key: "stargazers_count", label: "Stars" },
+  { key: "forks_count", label: "Forks" },
+  { key: "open_issues_count", label: "Open Issues" },
+  { key: "created_at", label: "Created" },
+  { key: "updated_at", label: "Updated" },
+  { key: "pushed_at", label: "Pushed" },
+  { key: "html_url", label: "URL" }
+];
+
+export const toExportRows = (repoList) => repoList.map(repo =>
+  Object.fromEntries(EXPORT_COLUMNS.map(({ key }) => [key, repo[key] ?? null]))
+);
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (repoList) => [
+  EXPORT_COLUMNS.map(({ label }) => label).join(","),
+  ...toExportRows(repoList).map(row => EXPORT_COLUMNS.map(({ key }) => escapeCsv(row[key])).join(","))
+].join("\r\n");
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Standalone copy of the report: its markup plus the page's own stylesheets
+export const buildReportHtml = (reportNode, title) => {
+  const styles = Array.from(document.styleSheets)
+    .map(sheet => {
+      try {
+        return Array.from(sheet.cssRules).map(rule => rule.cssText).join("\n");
+      } catch {
+        return "";
+      }
+    })
+    .join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${title}</title>
+<style>${styles}</style>
+</head>
+<body>${reportNode.outerHTML}</body>
+</html>`;
+};
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { toExportRows, toCsv } from "./export";
+import repos from "../fixtures/repos.json";
+
+describe("toExportRows", () => {
+  it("keeps only the export columns", () => {
+    const [row] = toExportRows(repos);
+    expect(Object.keys(row)).toEqual([
+      "name", "description", "language", "stargazers_count", "forks_count",
+      "open_issues_count", "created_at", "updated_at", "pushed_at", "html_url"
+    ]);
+    expect(toExportRows([repos.find(repo => repo.name === "notes")])[0].language).toBeNull();
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header and escapes quotes, commas and line breaks", () => {
+    const repo = { ...repos[0], name: "a,b", description: 'Say "hi"\nthere', language: null };
+    const [header, line] = toCsv([repo]).split("\r\n");
+    expect(header).toBe("Name,Description,Language,Stars,Forks,Open Issues,Created,Updated,Pushed,URL");
+    expect(line.startsWith('"a,b","Say ""hi""\nthere",,120,')).toBe(true);
+  });
+});
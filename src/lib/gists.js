@@ -0,0 +1,34 @@
+export const GIST_UNKNOWN_LANGUAGE = "Text";
+
+// Gist files as an array; GitHub keys them by filename and leaves language null for plain text
+export const getGistFiles = (gist) => Object.values(gist.files || {}).map(file => ({
+  ...file,
+  language: file.language || GIST_UNKNOWN_LANGUAGE
+}));
+
+// Distinct languages in a gist, most files first
+export const getGistLanguages = (gist) => {
+  const counts = {};
+  getGistFiles(gist).forEach(file => {
+    counts[file.language] = (counts[file.language] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+// Files per language across every gist, in the { language: amount } shape summarizeLanguages takes
+export const countGistLanguages = (gists) => {
+  const counts = {};
+  gists.forEach(gist => getGistFiles(gist).forEach(file => {
+    counts[file.language] = (counts[file.language] || 0) + 1;
+  }));
+  return counts;
+};
+
+// Totals shown above the gist list
+export const getGistSummary = (gists) => ({
+  gists: gists.length,
+  files: gists.reduce((sum, gist) => sum + getGistFiles(gist).length, 0),
+  secret: gists.filter(gist => !gist.public).length,
+  comments: gists.reduce((sum, gist) => sum + (gist.comments || 0), 0),
+  lastUpdated: gists.length > 0 ? new Date(Math.max(...gists.map(gist => Date.parse(gist.updated_at)))) : null
+});
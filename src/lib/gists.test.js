@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { getGistFiles, getGistLanguages, countGistLanguages, getGistSummary } from "./gists";
+
+const gists = [
+  {
+    id: "a",
+    public: true,
+    comments: 2,
+    updated_at: "2025-06-01T00:00:00Z",
+    files: {
+      "app.js": { filename: "app.js", language: "JavaScript", size: 120 },
+      "util.js": { filename: "util.js", language: "JavaScript", size: 40 },
+      "notes.txt": { filename: "notes.txt", language: null, size: 10 }
+    }
+  },
+  {
+    id: "b",
+    public: false,
+    comments: 0,
+    updated_at: "2025-06-10T00:00:00Z",
+    files: {
+      "run.sh": { filename: "run.sh", language: "Shell", size: 80 }
+    }
+  }
+];
+
+describe("getGistFiles", () => {
+  it("lists files and names plain text", () => {
+    expect(getGistFiles(gists[0]).map(file => file.language)).toEqual(["JavaScript", "JavaScript", "Text"]);
+  });
+});
+
+describe("getGistLanguages", () => {
+  it("lists each language once, most files first", () => {
+    expect(getGistLanguages(gists[0])).toEqual(["JavaScript", "Text"]);
+  });
+});
+
+describe("countGistLanguages", () => {
+  it("counts files per language across gists", () => {
+    expect(countGistLanguages(gists)).toEqual({ JavaScript: 2, Text: 1, Shell: 1 });
+  });
+});
+
+describe("getGistSummary", () => {
+  it("totals gists, files, secret gists and comments", () => {
+    expect(getGistSummary(gists)).toEqual({
+      gists: 2,
+      files: 4,
+      secret: 1,
+      comments: 2,
+      lastUpdated: new Date("2025-06-10T00:00:00Z")
+    });
+    expect(getGistSummary([]).lastUpdated).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { DAY_MS } from "./dates";
+
+export const HEALTH_STORAGE_KEY = "github-insights-health-thresholds";
+export const DEFAULT_HEALTH_THRESHOLDS = {
+  staleDays: 180,
+  abandonedDays: 365,
+  maxOpenIssues: 20,
+  maxForkRatio: 1,
+  attentionScore: 60
+};
+
+export const HEALTH_THRESHOLD_FIELDS = [
+  { key: "staleDays", label: "Stale after (days without a push)", step: 1 },
+  { key: "abandonedDays", label: "Abandoned after (days without a push)", step: 1 },
+  { key: "maxOpenIssues", label: "Open issues and PRs allowed", step: 1 },
+  { key: "maxForkRatio", label: "Forks per star allowed", step: 0.1 },
+  { key: "attentionScore", label: "Needs attention below score", step: 1 }
+];
+
+export const readHealthThresholds = () => {
+  try {
+    return { ...DEFAULT_HEALTH_THRESHOLDS, ...JSON.parse(localStorage.getItem(HEALTH_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_HEALTH_THRESHOLDS;
+  }
+};
+
+// Score a repository out of 100, subtracting points for each problem found.
+// Reasons are listed in the order they cost the most.
+export const scoreRepoHealth = (repo, thresholds) => {
+  const problems = [];
+  const daysSincePush = Math.floor((Date.now() - new Date(repo.pushed_at)) / DAY_MS);
+
+  if (repo.archived) {
+    problems.push({ penalty: 30, reason: "Archived" });
+  }
+  if (daysSincePush > thresholds.abandonedDays) {
+    problems.push({ penalty: 30, reason: `No pushes in ${daysSincePush} days` });
+  } else if (daysSincePush > thresholds.staleDays) {
+    problems.push({ penalty: 15, reason: `No pushes in ${daysSincePush} days` });
+  }
+  if (repo.open_issues_count > thresholds.maxOpenIssues) {
+    problems.push({ penalty: 15, reason: `${repo.open_issues_count} open issues and pull requests` });
+  }
+  if (repo.forks_count > 0 && repo.forks_count > repo.stargazers_count * thresholds.maxForkRatio) {
+    problems.push({ penalty: 10, reason: `${repo.forks_count} forks for ${repo.stargazers_count} stars` });
+  }
+  if (!repo.license) {
+    problems.push({ penalty: 10, reason: "No license" });
+  }
+  if (!repo.description) {
+    problems.push({ penalty: 10, reason: "No description" });
+  }
+  if (!repo.topics?.length) {
+    problems.push({ penalty: 5, reason: "No topics" });
+  }
+
+  problems.sort((a, b) => b.penalty - a.penalty);
+  const score = Math.max(0, 100 - problems.reduce((sum, { penalty }) => sum + penalty, 0));
+  return {
+    score,
+    level: score >= 80 ? "good" : score >= thresholds.attentionScore ? "fair" : "poor",
+    reasons: problems.map(({ reason }) => reason)
+  };
+};
+
+// Non-fork repos scoring under the attention threshold, worst first
+export const getReposNeedingAttention = (repos, health, thresholds) => repos
+  .filter(repo => !repo.fork && health.get(repo.id).score < thresholds.attentionScore)
+  .sort((a, b) => health.get(a.id).score - health.get(b.id).score);
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { DEFAULT_HEALTH_THRESHOLDS, scoreRepoHealth, getReposNeedingAttention } from "./health";
+import repos from "../fixtures/repos.json";
+
+const byName = (name) => repos.find(repo => repo.name === name);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("scoreRepoHealth", () => {
+  it("gives a well kept repository full marks", () => {
+    expect(scoreRepoHealth(byName("insights-cli"), DEFAULT_HEALTH_THRESHOLDS))
+      .toEqual({ score: 100, level: "good", reasons: [] });
+  });
+
+  it("lists the most costly problems first", () => {
+    expect(scoreRepoHealth(byName("dotfiles"), DEFAULT_HEALTH_THRESHOLDS)).toEqual({
+      score: 55,
+      level: "poor",
+      reasons: ["No pushes in 865 days", "No license", "No topics"]
+    });
+  });
+
+  it("uses the configured thresholds", () => {
+    const repo = byName("rust-parser");
+    expect(scoreRepoHealth(repo, DEFAULT_HEALTH_THRESHOLDS).reasons).toEqual(["25 open issues and pull requests"]);
+    expect(scoreRepoHealth(repo, { ...DEFAULT_HEALTH_THRESHOLDS, maxOpenIssues: 30 }).score).toBe(100);
+    expect(scoreRepoHealth(byName("react"), { ...DEFAULT_HEALTH_THRESHOLDS, staleDays: 365 }).score).toBe(100);
+  });
+
+  it("flags many forks per star", () => {
+    expect(scoreRepoHealth(byName("project-template"), DEFAULT_HEALTH_THRESHOLDS).reasons).toEqual(["20 forks for 7 stars"]);
+  });
+
+  it("never goes below zero", () => {
+    const repo = { ...byName("old-blog"), open_issues_count: 100, forks_count: 100 };
+    expect(scoreRepoHealth(repo, DEFAULT_HEALTH_THRESHOLDS).score).toBe(0);
+  });
+});
+
+describe("getReposNeedingAttention", () => {
+  it("returns non-fork repos under the threshold, worst first", () => {
+    const scores = (thresholds) => new Map(repos.map(repo => [repo.id, scoreRepoHealth(repo, thresholds)]));
+    const names = (thresholds) =>
+      getReposNeedingAttention(repos, scores(thresholds), thresholds).map(repo => repo.name);
+
+    expect(names(DEFAULT_HEALTH_THRESHOLDS)).toEqual(["old-blog", "dotfiles"]);
+    expect(names({ ...DEFAULT_HEALTH_THRESHOLDS, attentionScore: 90 }))
+      .toEqual(["old-blog", "dotfiles", "rust-parser", "notes"]);
+  });
+});
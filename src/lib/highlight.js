@@ -0,0 +1,59 @@
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import c from "highlight.js/lib/languages/c";
+import cpp from "highlight.js/lib/languages/cpp";
+import css from "highlight.js/lib/languages/css";
+import diff from "highlight.js/lib/languages/diff";
+import dockerfile from "highlight.js/lib/languages/dockerfile";
+import go from "highlight.js/lib/languages/go";
+import ini from "highlight.js/lib/languages/ini";
+import java from "highlight.js/lib/languages/java";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import kotlin from "highlight.js/lib/languages/kotlin";
+import markdown from "highlight.js/lib/languages/markdown";
+import php from "highlight.js/lib/languages/php";
+import powershell from "highlight.js/lib/languages/powershell";
+import python from "highlight.js/lib/languages/python";
+import ruby from "highlight.js/lib/languages/ruby";
+import rust from "highlight.js/lib/languages/rust";
+import sql from "highlight.js/lib/languages/sql";
+import swift from "highlight.js/lib/languages/swift";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+
+// Only the languages gists commonly use are bundled; the rest render as plain text
+const LANGUAGES = {
+  bash, c, cpp, css, diff, dockerfile, go, ini, java, javascript, json, kotlin, markdown,
+  php, powershell, python, ruby, rust, sql, swift, typescript, xml, yaml
+};
+Object.entries(LANGUAGES).forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+// GitHub's linguist names for the languages above, where they differ from highlight.js'
+const LINGUIST_NAMES = {
+  Shell: "bash",
+  "C++": "cpp",
+  "Git Config": "ini",
+  TOML: "ini",
+  JSX: "javascript",
+  TSX: "typescript",
+  HTML: "xml",
+  SVG: "xml",
+  XML: "xml",
+  Vue: "xml",
+  PowerShell: "powershell"
+};
+
+export const getHighlightLanguage = (language) => {
+  if (!language) return null;
+  const name = LINGUIST_NAMES[language] || language.toLowerCase();
+  return hljs.getLanguage(name) ? name : null;
+};
+
+// HTML with highlight.js token spans for a file in `language` (a GitHub language name),
+// or null when it isn't one of the bundled languages. The output escapes the code itself.
+export const highlightCode = (code, language) => {
+  const name = getHighlightLanguage(language);
+  return name ? hljs.highlight(code, { language: name, ignoreIllegals: true }).value : null;
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { getHighlightLanguage, highlightCode } from "./highlight";
+
+describe("getHighlightLanguage", () => {
+  it("maps GitHub language names to bundled grammars", () => {
+    expect(getHighlightLanguage("JavaScript")).toBe("javascript");
+    expect(getHighlightLanguage("Shell")).toBe("bash");
+    expect(getHighlightLanguage("C++")).toBe("cpp");
+    expect(getHighlightLanguage("HTML")).toBe("xml");
+  });
+
+  it("returns null for plain text and languages that aren't bundled", () => {
+    expect(getHighlightLanguage("Text")).toBeNull();
+    expect(getHighlightLanguage("COBOL")).toBeNull();
+    expect(getHighlightLanguage(null)).toBeNull();
+  });
+});
+
+describe("highlightCode", () => {
+  it("wraps tokens in highlight.js spans and escapes the code", () => {
+    const html = highlightCode("const tag = \"<b>\";", "JavaScript");
+    expect(html).toContain('<span class="hljs-keyword">const</span>');
+    expect(html).toContain("&lt;b&gt;");
+    expect(html).not.toContain("<b>");
+  });
+
+  it("leaves unknown languages to the caller", () => {
+    expect(highlightCode("plain", "Text")).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+export const ISSUE_TIMELINE_MONTHS = 12;
+const TOP_EXTERNAL_REPOS = 8;
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const repoNameFromUrl = (repositoryUrl) => repositoryUrl.split("/").slice(-2).join("/");
+
+// PR and issue analytics from search API results. Totals come from total_count;
+// the timeline, merge times and repo ranking use the most recent items that were loaded.
+export const buildIssueAnalytics = (login, { prs, issues, merged, reviewed }) => {
+  const months = [];
+  const start = new Date();
+  start.setDate(1);
+  start.setHours(0, 0, 0, 0);
+  start.setMonth(start.getMonth() - (ISSUE_TIMELINE_MONTHS - 1));
+  for (let i = 0; i < ISSUE_TIMELINE_MONTHS; i++) {
+    const month = new Date(start.getFullYear(), start.getMonth() + i, 1);
+    months.push({
+      key: `${month.getFullYear()}-${month.getMonth()}`,
+      month: month.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+      opened: 0,
+      merged: 0,
+      closed: 0
+    });
+  }
+  const bump = (date, field) => {
+    if (!date) return;
+    const d = new Date(date);
+    const bucket = months.find(m => m.key === `${d.getFullYear()}-${d.getMonth()}`);
+    if (bucket) bucket[field]++;
+  };
+
+  const mergeTimes = [];
+  const repoCounts = {};
+  prs.items.forEach(pr => {
+    const mergedAt = pr.pull_request?.merged_at;
+    bump(pr.created_at, "opened");
+    if (mergedAt) {
+      bump(mergedAt, "merged");
+      mergeTimes.push(new Date(mergedAt) - new Date(pr.created_at));
+    } else if (pr.state === "closed") {
+      bump(pr.closed_at, "closed");
+    }
+
+    const repo = repoNameFromUrl(pr.repository_url);
+    if (repo.split("/")[0].toLowerCase() !== login.toLowerCase()) {
+      repoCounts[repo] = repoCounts[repo] || { repo, prs: 0, merged: 0 };
+      repoCounts[repo].prs++;
+      if (mergedAt) repoCounts[repo].merged++;
+    }
+  });
+
+  return {
+    totals: {
+      prs: prs.totalCount,
+      merged: merged.totalCount,
+      issues: issues.totalCount,
+      reviewed: reviewed.totalCount
+    },
+    sampledPrs: prs.items.length,
+    medianMergeTime: median(mergeTimes),
+    timeline: months,
+    externalRepos: Object.values(repoCounts).sort((a, b) => b.prs - a.prs).slice(0, TOP_EXTERNAL_REPOS),
+    reviewedItems: reviewed.items.slice(0, 5),
+    items: [...prs.items, ...issues.items].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  };
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { ISSUE_TIMELINE_MONTHS, median, repoNameFromUrl, buildIssueAnalytics } from "./issues";
+
+const HOUR = 60 * 60 * 1000;
+const item = (id, repo, fields) => ({
+  id,
+  number: id,
+  title: `Item ${id}`,
+  state: "open",
+  repository_url: `https://api.github.com/repos/${repo}`,
+  html_url: `https://github.com/${repo}/issues/${id}`,
+  ...fields
+});
+
+const prs = [
+  item(1, "other-org/tool", {
+    state: "closed",
+    created_at: "2025-06-01T12:00:00Z",
+    pull_request: { merged_at: "2025-06-03T12:00:00Z" }
+  }),
+  item(2, "demo-user/insights-cli", {
+    state: "closed",
+    created_at: "2025-05-10T12:00:00Z",
+    pull_request: { merged_at: "2025-05-10T18:00:00Z" }
+  }),
+  item(3, "other-org/tool", {
+    state: "closed",
+    created_at: "2025-04-05T12:00:00Z",
+    closed_at: "2025-04-06T12:00:00Z",
+    pull_request: { merged_at: null }
+  }),
+  item(4, "another/lib", { created_at: "2024-01-10T12:00:00Z", pull_request: { merged_at: null } })
+];
+const issues = [item(5, "other-org/tool", { created_at: "2025-06-10T12:00:00Z" })];
+const reviewed = Array.from({ length: 7 }, (_, i) => item(10 + i, "other-org/tool", { created_at: "2025-06-01T12:00:00Z" }));
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("median", () => {
+  it("handles odd, even and empty lists", () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+});
+
+describe("repoNameFromUrl", () => {
+  it("keeps the owner and name", () => {
+    expect(repoNameFromUrl("https://api.github.com/repos/octo/hello")).toBe("octo/hello");
+  });
+});
+
+describe("buildIssueAnalytics", () => {
+  let analytics;
+
+  beforeEach(() => {
+    analytics = buildIssueAnalytics("Demo-User", {
+      prs: { items: prs, totalCount: 40 },
+      issues: { items: issues, totalCount: 5 },
+      merged: { items: [], totalCount: 30 },
+      reviewed: { items: reviewed, totalCount: 12 }
+    });
+  });
+
+  it("takes totals from the search counts", () => {
+    expect(analytics.totals).toEqual({ prs: 40, merged: 30, issues: 5, reviewed: 12 });
+    expect(analytics.sampledPrs).toBe(4);
+  });
+
+  it("uses the loaded PRs for merge time and the monthly timeline", () => {
+    expect(analytics.medianMergeTime).toBe((48 * HOUR + 6 * HOUR) / 2);
+    expect(analytics.timeline).toHaveLength(ISSUE_TIMELINE_MONTHS);
+    expect(analytics.timeline.slice(-3).map(({ opened, merged, closed }) => [opened, merged, closed]))
+      .toEqual([[1, 0, 1], [1, 1, 0], [1, 1, 0]]);
+  });
+
+  it("ranks repositories owned by someone else", () => {
+    expect(analytics.externalRepos).toEqual([
+      { repo: "other-org/tool", prs: 2, merged: 1 },
+      { repo: "another/lib", prs: 1, merged: 0 }
+    ]);
+  });
+
+  it("lists issues and PRs newest first and keeps five reviews", () => {
+    expect(analytics.items.map(entry => entry.id)).toEqual([5, 1, 2, 3, 4]);
+    expect(analytics.reviewedItems).toHaveLength(5);
+  });
+});
@@ -0,0 +1,46 @@
+import { formatBytes } from "./format";
+
+export const OTHER_LANGUAGE = "Other";
+export const OTHER_LANGUAGE_COLOR = "#9CA3AF";
+const OTHER_LANGUAGE_THRESHOLD = 1;
+
+// Turn { language: amount } totals into shares that add up to 100%,
+// rolling languages under OTHER_LANGUAGE_THRESHOLD percent into "Other"
+export const summarizeLanguages = (totals) => {
+  const sum = Object.values(totals).reduce((acc, value) => acc + value, 0);
+  if (sum === 0) return [];
+
+  const entries = Object.entries(totals)
+    .map(([name, value]) => ({ name, value, percent: (value / sum) * 100 }))
+    .sort((a, b) => b.value - a.value);
+
+  const main = entries.filter(lang => lang.percent >= OTHER_LANGUAGE_THRESHOLD);
+  const rest = entries.filter(lang => lang.percent < OTHER_LANGUAGE_THRESHOLD);
+  if (rest.length === 0) return main;
+
+  const otherValue = rest.reduce((acc, lang) => acc + lang.value, 0);
+  return [
+    ...main,
+    {
+      name: OTHER_LANGUAGE,
+      value: otherValue,
+      percent: (otherValue / sum) * 100,
+      languages: rest.map(lang => lang.name)
+    }
+  ];
+};
+
+// Repositories per primary language; repos without one are left out
+export const countLanguages = (repos) => {
+  const languages = {};
+  repos.forEach(repo => {
+    if (repo.language) {
+      languages[repo.language] = (languages[repo.language] || 0) + 1;
+    }
+  });
+  return languages;
+};
+
+export const formatLanguageValue = (lang, mode) => mode === "bytes"
+  ? formatBytes(lang.value)
+  : `${lang.value} ${lang.value === 1 ? "repo" : "repos"}`;
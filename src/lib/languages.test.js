@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { OTHER_LANGUAGE, countLanguages, summarizeLanguages, formatLanguageValue } from "./languages";
+import repos from "../fixtures/repos.json";
+
+describe("countLanguages", () => {
+  it("counts repositories per primary language", () => {
+    expect(countLanguages(repos)).toEqual({
+      JavaScript: 2,
+      Rust: 1,
+      Shell: 1,
+      HTML: 1,
+      TypeScript: 1,
+      Python: 1
+    });
+  });
+});
+
+describe("summarizeLanguages", () => {
+  it("returns shares sorted by size", () => {
+    const stats = summarizeLanguages({ Go: 1, Rust: 3 });
+    expect(stats.map(lang => lang.name)).toEqual(["Rust", "Go"]);
+    expect(stats.map(lang => lang.percent)).toEqual([75, 25]);
+  });
+
+  it("rolls languages under one percent into Other", () => {
+    const stats = summarizeLanguages({ JavaScript: 990, Shell: 5, Makefile: 5 });
+    expect(stats).toHaveLength(2);
+    expect(stats[1]).toEqual({ name: OTHER_LANGUAGE, value: 10, percent: 1, languages: ["Shell", "Makefile"] });
+  });
+
+  it("returns nothing for empty totals", () => {
+    expect(summarizeLanguages({})).toEqual([]);
+  });
+});
+
+describe("formatLanguageValue", () => {
+  it("shows repos or bytes depending on the mode", () => {
+    expect(formatLanguageValue({ value: 1 }, "count")).toBe("1 repo");
+    expect(formatLanguageValue({ value: 4 }, "count")).toBe("4 repos");
+    expect(formatLanguageValue({ value: 2048 }, "bytes")).toBe("2.0 KB");
+  });
+});
@@ -0,0 +1,165 @@
+// Followers, following and contributors are read one page each
+export const NETWORK_PAGE_SIZE = 30;
+// Repositories whose contributors are read for co-contributor edges
+export const NETWORK_REPO_LIMIT = 5;
+// At depth 2, the strongest connections whose own following lists are read
+export const NETWORK_EXPAND_LIMIT = 8;
+export const NETWORK_DEPTHS = [1, 2];
+export const NETWORK_NODE_CAPS = [25, 50, 100];
+export const DEFAULT_NETWORK_OPTIONS = { depth: 1, maxNodes: 50 };
+
+const keyOf = (login) => login.toLowerCase();
+const edgeKey = (a, b) => [a, b].sort().join(" ");
+
+// Repositories most likely to have co-contributors: the most starred originals
+export const getNetworkRepos = (repos) => repos
+  .filter(repo => !repo.fork && repo.size > 0)
+  .sort((a, b) => b.stargazers_count - a.stargazers_count || new Date(b.pushed_at) - new Date(a.pushed_at))
+  .slice(0, NETWORK_REPO_LIMIT);
+
+// Requests one graph costs, shown next to the controls
+export const estimateNetworkRequests = (repoCount, depth) =>
+  2 + Math.min(repoCount, NETWORK_REPO_LIMIT) + (depth > 1 ? NETWORK_EXPAND_LIMIT : 0);
+
+// Contributors first (most commits first), then people who follow both ways, then the rest
+const compareCandidates = (a, b) =>
+  Number(b.contributions > 0) - Number(a.contributions > 0)
+  || b.contributions - a.contributions
+  || b.kinds.length - a.kinds.length;
+
+// Nodes and undirected edges around `center`. Depth-1 nodes come from followers, following
+// and contributors to the center's repositories (edge weight = commits); expansions add what
+// depth-1 people follow, linking existing nodes and adding depth-2 nodes while under maxNodes.
+export const buildNetworkGraph = (center, { followers = [], following = [], contributors = [], expansions = [] }, { maxNodes }) => {
+  const centerId = keyOf(center.login);
+  const nodes = new Map([[centerId, {
+    id: centerId,
+    login: center.login,
+    avatarUrl: center.avatar_url,
+    depth: 0,
+    kinds: [],
+    contributions: 0
+  }]]);
+  const edges = new Map();
+
+  const candidates = new Map();
+  const addCandidate = (user, kind, contributions = 0) => {
+    const id = keyOf(user.login);
+    if (user.type === "Bot" || id === centerId) return;
+    const candidate = candidates.get(id) || { id, login: user.login, avatarUrl: user.avatar_url, depth: 1, kinds: [], contributions: 0 };
+    if (!candidate.kinds.includes(kind)) candidate.kinds.push(kind);
+    candidate.contributions += contributions;
+    candidates.set(id, candidate);
+  };
+  followers.forEach(user => addCandidate(user, "follower"));
+  following.forEach(user => addCandidate(user, "following"));
+  contributors.forEach(({ users }) => users.forEach(user => addCandidate(user, "contributor", user.contributions || 0)));
+
+  [...candidates.values()]
+    .sort(compareCandidates)
+    .slice(0, maxNodes - 1)
+    .forEach(node => {
+      nodes.set(node.id, node);
+      edges.set(edgeKey(centerId, node.id), {
+        source: centerId,
+        target: node.id,
+        weight: Math.max(1, node.contributions),
+        kinds: node.kinds
+      });
+    });
+
+  expansions.forEach(({ login, following: followed }) => {
+    const sourceId = keyOf(login);
+    if (!nodes.has(sourceId)) return;
+    followed.forEach(user => {
+      const targetId = keyOf(user.login);
+      if (targetId === sourceId || user.type === "Bot") return;
+      if (!nodes.has(targetId)) {
+        if (nodes.size >= maxNodes) return;
+        nodes.set(targetId, { id: targetId, login: user.login, avatarUrl: user.avatar_url, depth: 2, kinds: [], contributions: 0 });
+      }
+      const key = edgeKey(sourceId, targetId);
+      if (!edges.has(key)) edges.set(key, { source: sourceId, target: targetId, weight: 1, kinds: ["following"] });
+    });
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+};
+
+// One color group per node, used for the legend
+export const getNodeKind = (node) => {
+  if (node.depth === 0) return "center";
+  if (node.depth === 2) return "extended";
+  if (node.kinds.includes("contributor")) return "contributor";
+  if (node.kinds.includes("follower") && node.kinds.includes("following")) return "mutual";
+  return node.kinds.includes("follower") ? "follower" : "following";
+};
+
+const REPULSION = 2400;
+const SPRING = 0.04;
+const GRAVITY = 0.01;
+const DAMPING = 0.6;
+const NODE_MARGIN = 24;
+
+// Starting positions: the center in the middle, everyone else on rings by depth
+export const createLayout = (graph, width, height) => {
+  const ringCounts = [0, 0, 0];
+  const ringSizes = [1, 2, 3].map(depth => graph.nodes.filter(node => node.depth === depth).length);
+  return graph.nodes.map(node => {
+    if (node.depth === 0) return { id: node.id, x: width / 2, y: height / 2, vx: 0, vy: 0, fixed: true };
+    const index = ringCounts[node.depth - 1]++;
+    const angle = (2 * Math.PI * index) / ringSizes[node.depth - 1];
+    const radius = Math.min(width, height) * (node.depth === 1 ? 0.3 : 0.45);
+    return { id: node.id, x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle), vx: 0, vy: 0 };
+  });
+};
+
+// One step of the simulation: nodes repel each other, edges pull like springs and a weak
+// gravity keeps the graph centered. Positions are updated in place; fixed nodes don't move.
+export const tickLayout = (positions, edges, { width, height, alpha }) => {
+  const index = new Map(positions.map((position, i) => [position.id, i]));
+
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      const a = positions[i];
+      const b = positions[j];
+      const dx = b.x - a.x || 0.01;
+      const dy = b.y - a.y || 0.01;
+      const distanceSq = Math.max(dx * dx + dy * dy, 25);
+      const force = (REPULSION * alpha) / distanceSq;
+      const distance = Math.sqrt(distanceSq);
+      a.vx -= (dx / distance) * force;
+      a.vy -= (dy / distance) * force;
+      b.vx += (dx / distance) * force;
+      b.vy += (dy / distance) * force;
+    }
+  }
+
+  edges.forEach(edge => {
+    const a = positions[index.get(edge.source)];
+    const b = positions[index.get(edge.target)];
+    if (!a || !b) return;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    // Heavier edges are shorter, so frequent collaborators sit closer
+    const length = 140 / (1 + Math.log10(edge.weight));
+    const force = (distance - length) * SPRING * alpha;
+    a.vx += (dx / distance) * force;
+    a.vy += (dy / distance) * force;
+    b.vx -= (dx / distance) * force;
+    b.vy -= (dy / distance) * force;
+  });
+
+  positions.forEach(position => {
+    if (position.fixed) {
+      position.vx = 0;
+      position.vy = 0;
+      return;
+    }
+    position.vx = (position.vx + (width / 2 - position.x) * GRAVITY * alpha) * DAMPING;
+    position.vy = (position.vy + (height / 2 - position.y) * GRAVITY * alpha) * DAMPING;
+    position.x = Math.min(width - NODE_MARGIN, Math.max(NODE_MARGIN, position.x + position.vx));
+    position.y = Math.min(height - NODE_MARGIN, Math.max(NODE_MARGIN, position.y + position.vy));
+  });
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { buildNetworkGraph, getNodeKind, getNetworkRepos, estimateNetworkRequests, createLayout, tickLayout } from "./network";
+
+const user = (login, extra = {}) => ({ login, avatar_url: `https://avatars.example/${login}`, type: "User", ...extra });
+const center = user("Octocat");
+
+const sources = {
+  followers: [user("fan"), user("friend"), user("dependabot[bot]", { type: "Bot" })],
+  following: [user("friend"), user("hero")],
+  contributors: [
+    { repo: "app", users: [user("octocat", { contributions: 90 }), user("helper", { contributions: 12 })] },
+    { repo: "lib", users: [user("helper", { contributions: 3 }), user("fan", { contributions: 1 })] }
+  ]
+};
+
+describe("buildNetworkGraph", () => {
+  it("links the center to followers, following and co-contributors", () => {
+    const graph = buildNetworkGraph(center, sources, { maxNodes: 50 });
+    expect(graph.nodes.map(node => node.login)).toEqual(["Octocat", "helper", "fan", "friend", "hero"]);
+    expect(graph.nodes.find(node => node.login === "helper").contributions).toBe(15);
+    expect(graph.edges.find(edge => edge.target === "helper").weight).toBe(15);
+    expect(graph.edges.find(edge => edge.target === "friend")).toMatchObject({ weight: 1, kinds: ["follower", "following"] });
+  });
+
+  it("leaves out bots and the center's own contributions", () => {
+    const graph = buildNetworkGraph(center, sources, { maxNodes: 50 });
+    expect(graph.nodes.some(node => node.login === "dependabot[bot]")).toBe(false);
+    expect(graph.nodes.filter(node => node.id === "octocat")).toHaveLength(1);
+  });
+
+  it("keeps the strongest connections under the node cap", () => {
+    const graph = buildNetworkGraph(center, sources, { maxNodes: 3 });
+    expect(graph.nodes.map(node => node.login)).toEqual(["Octocat", "helper", "fan"]);
+    expect(graph.edges).toHaveLength(2);
+  });
+
+  it("adds second-level people and links between existing nodes", () => {
+    const expansions = [
+      { login: "helper", following: [user("fan"), user("stranger"), user("other")] },
+      { login: "missing", following: [user("nobody")] }
+    ];
+    const graph = buildNetworkGraph(center, { ...sources, expansions }, { maxNodes: 7 });
+    expect(graph.nodes.filter(node => node.depth === 2).map(node => node.login)).toEqual(["stranger", "other"]);
+    expect(graph.edges.some(edge => edge.source === "helper" && edge.target === "fan")).toBe(true);
+    expect(graph.nodes.some(node => node.login === "nobody")).toBe(false);
+
+    const capped = buildNetworkGraph(center, { ...sources, expansions }, { maxNodes: 6 });
+    expect(capped.nodes.filter(node => node.depth === 2)).toHaveLength(1);
+  });
+});
+
+describe("getNodeKind", () => {
+  it("groups nodes for the legend", () => {
+    const graph = buildNetworkGraph(center, { ...sources, expansions: [{ login: "hero", following: [user("far")] }] }, { maxNodes: 50 });
+    const kinds = Object.fromEntries(graph.nodes.map(node => [node.login, getNodeKind(node)]));
+    expect(kinds).toEqual({
+      Octocat: "center",
+      helper: "contributor",
+      fan: "contributor",
+      friend: "mutual",
+      hero: "following",
+      far: "extended"
+    });
+  });
+});
+
+describe("getNetworkRepos", () => {
+  it("picks the most starred non-empty original repositories", () => {
+    const repos = [
+      { name: "fork", fork: true, size: 10, stargazers_count: 100 },
+      { name: "empty", fork: false, size: 0, stargazers_count: 50 },
+      { name: "small", fork: false, size: 10, stargazers_count: 1 },
+      { name: "big", fork: false, size: 10, stargazers_count: 40 }
+    ];
+    expect(getNetworkRepos(repos).map(repo => repo.name)).toEqual(["big", "small"]);
+  });
+});
+
+describe("estimateNetworkRequests", () => {
+  it("counts follow lists, contributor lists and expansions", () => {
+    expect(estimateNetworkRequests(2, 1)).toBe(4);
+    expect(estimateNetworkRequests(20, 1)).toBe(7);
+    expect(estimateNetworkRequests(20, 2)).toBe(15);
+  });
+});
+
+describe("layout", () => {
+  it("keeps nodes inside the canvas and the center in place", () => {
+    const graph = buildNetworkGraph(center, sources, { maxNodes: 50 });
+    const positions = createLayout(graph, 400, 300);
+    expect(positions[0]).toMatchObject({ x: 200, y: 150, fixed: true });
+
+    for (let i = 0; i < 100; i++) tickLayout(positions, graph.edges, { width: 400, height: 300, alpha: 1 });
+    expect(positions[0]).toMatchObject({ x: 200, y: 150 });
+    positions.forEach(position => {
+      expect(position.x).toBeGreaterThanOrEqual(0);
+      expect(position.x).toBeLessThanOrEqual(400);
+      expect(position.y).toBeGreaterThanOrEqual(0);
+      expect(position.y).toBeLessThanOrEqual(300);
+    });
+  });
+});
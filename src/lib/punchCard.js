@@ -0,0 +1,47 @@
+import { WEEKDAY_NAMES } from "./calendar";
+
+const WEEK_HOURS = 7 * 24;
+
+// Sum /stats/punch_card rows ([weekday, hour, commits]) into a weekday × hour grid.
+// GitHub reports each commit in its own time zone; offsetMinutes moves every commit by the
+// same amount, rounded to whole hours, for commits known to be recorded in UTC.
+export const buildPunchCard = (cards, offsetMinutes = 0) => {
+  const grid = WEEKDAY_NAMES.map(() => new Array(24).fill(0));
+  const shift = Math.round(offsetMinutes / 60);
+  cards.forEach(rows => rows.forEach(([day, hour, commits]) => {
+    const slot = (((day * 24 + hour + shift) % WEEK_HOURS) + WEEK_HOURS) % WEEK_HOURS;
+    grid[Math.floor(slot / 24)][slot % 24] += commits;
+  }));
+  return grid;
+};
+
+export const getPunchCardSummary = (grid) => {
+  const dayTotals = grid.map(hours => hours.reduce((sum, commits) => sum + commits, 0));
+  const hourTotals = grid[0].map((_, hour) => grid.reduce((sum, hours) => sum + hours[hour], 0));
+  const total = dayTotals.reduce((sum, commits) => sum + commits, 0);
+
+  let busiest = { day: 0, hour: 0, commits: 0 };
+  grid.forEach((hours, day) => hours.forEach((commits, hour) => {
+    if (commits > busiest.commits) busiest = { day, hour, commits };
+  }));
+
+  return {
+    total,
+    max: busiest.commits,
+    busiest: total > 0 ? busiest : null,
+    busiestDay: total > 0 ? WEEKDAY_NAMES[dayTotals.indexOf(Math.max(...dayTotals))] : null,
+    busiestHour: total > 0 ? hourTotals.indexOf(Math.max(...hourTotals)) : null,
+    weekendPercent: total > 0 ? ((dayTotals[0] + dayTotals[6]) / total) * 100 : 0
+  };
+};
+
+export const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? "am" : "pm"}`;
+
+export const formatUtcOffset = (minutes) => {
+  const sign = minutes < 0 ? "−" : "+";
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+};
+
+// The browser's current offset from UTC in minutes, e.g. 120 for UTC+02:00
+export const getLocalUtcOffset = () => -new Date().getTimezoneOffset();
@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { buildPunchCard, getPunchCardSummary, formatHour, formatUtcOffset } from "./punchCard";
+
+const cards = [
+  [[2, 14, 5], [6, 23, 1], [0, 0, 2]],
+  [[2, 14, 3], [3, 9, 4]]
+];
+
+describe("buildPunchCard", () => {
+  it("sums repositories into a weekday by hour grid", () => {
+    const grid = buildPunchCard(cards);
+    expect(grid).toHaveLength(7);
+    expect(grid[2][14]).toBe(8);
+    expect(grid[3][9]).toBe(4);
+  });
+
+  it("shifts across midnight and around the week", () => {
+    const ahead = buildPunchCard(cards, 120);
+    expect(ahead[2][16]).toBe(8);
+    expect(ahead[0][1]).toBe(1);
+
+    const behind = buildPunchCard(cards, -60);
+    expect(behind[6][23]).toBe(2);
+    expect(behind[6][22]).toBe(1);
+  });
+
+  it("rounds half-hour offsets", () => {
+    expect(buildPunchCard(cards, 330)[2][20]).toBe(8);
+  });
+});
+
+describe("getPunchCardSummary", () => {
+  it("finds the busiest slot, day and hour", () => {
+    expect(getPunchCardSummary(buildPunchCard(cards))).toEqual({
+      total: 15,
+      max: 8,
+      busiest: { day: 2, hour: 14, commits: 8 },
+      busiestDay: "Tuesday",
+      busiestHour: 14,
+      weekendPercent: 20
+    });
+  });
+
+  it("handles repositories without commits", () => {
+    expect(getPunchCardSummary(buildPunchCard([]))).toMatchObject({ total: 0, busiest: null, busiestDay: null });
+  });
+});
+
+describe("formatting", () => {
+  it("formats hours and offsets", () => {
+    expect([0, 9, 12, 23].map(formatHour)).toEqual(["12am", "9am", "12pm", "11pm"]);
+    expect(formatUtcOffset(330)).toBe("UTC+05:30");
+    expect(formatUtcOffset(-480)).toBe("UTC−08:00");
+  });
+});
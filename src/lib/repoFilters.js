@@ -0,0 +1,114 @@
+import { parseRepoQuery } from "./repoQuery";
+import { DAY_MS } from "./dates";
+
+// Repositories tab filters; status filters are "all", "hide" or "only"
+export const DEFAULT_FILTERS = {
+  languages: [],
+  topics: [],
+  forks: "all",
+  archived: "all",
+  templates: "all",
+  pushedWithinDays: "",
+  minStars: ""
+};
+
+export const STATUS_FILTERS = [
+  { key: "forks", param: "forks", label: "Forks", field: "fork" },
+  { key: "archived", param: "archived", label: "Archived", field: "archived" },
+  { key: "templates", param: "templates", label: "Templates", field: "is_template" }
+];
+
+export const readFilterParams = (params) => ({
+  languages: params.get("lang")?.split(",").filter(Boolean) || [],
+  topics: params.get("topic")?.split(",").filter(Boolean) || [],
+  ...Object.fromEntries(STATUS_FILTERS.map(({ key, param }) =>
+    [key, ["hide", "only"].includes(params.get(param)) ? params.get(param) : "all"])),
+  pushedWithinDays: params.get("pushed") || "",
+  minStars: params.get("stars") || ""
+});
+
+export const writeFilterParams = (params, filters = DEFAULT_FILTERS) => {
+  if (filters.languages.length) params.set("lang", filters.languages.join(","));
+  if (filters.topics.length) params.set("topic", filters.topics.join(","));
+  STATUS_FILTERS.forEach(({ key, param }) => {
+    if (filters[key] !== "all") params.set(param, filters[key]);
+  });
+  if (filters.pushedWithinDays) params.set("pushed", filters.pushedWithinDays);
+  if (filters.minStars) params.set("stars", filters.minStars);
+};
+
+// Apply the search box query (qualifiers plus free text) and the filter panel
+export const filterRepos = (repos, filterText, filters = DEFAULT_FILTERS) => {
+  let filtered = [...repos];
+
+  if (filterText) {
+    const query = parseRepoQuery(filterText);
+    filtered = filtered.filter(query.test);
+  }
+
+  // Apply language and topic filters
+  if (filters.languages.length > 0) {
+    filtered = filtered.filter(repo => filters.languages.includes(repo.language));
+  }
+  if (filters.topics.length > 0) {
+    filtered = filtered.filter(repo => filters.topics.some(topic => repo.topics?.includes(topic)));
+  }
+
+  // Apply fork, archived and template filters
+  STATUS_FILTERS.forEach(({ key, field }) => {
+    if (filters[key] === "hide") filtered = filtered.filter(repo => !repo[field]);
+    if (filters[key] === "only") filtered = filtered.filter(repo => repo[field]);
+  });
+
+  // Apply pushed-within and minimum star filters
+  if (filters.pushedWithinDays) {
+    const cutoff = Date.now() - Number(filters.pushedWithinDays) * DAY_MS;
+    filtered = filtered.filter(repo => new Date(repo.pushed_at).getTime() >= cutoff);
+  }
+  if (filters.minStars) {
+    filtered = filtered.filter(repo => repo.stargazers_count >= Number(filters.minStars));
+  }
+
+  return filtered;
+};
+
+export const sortRepos = (repos, sortOption) => [...repos].sort((a, b) => {
+  switch (sortOption) {
+    case "stars":
+      return b.stargazers_count - a.stargazers_count;
+    case "forks":
+      return b.forks_count - a.forks_count;
+    case "issues":
+      return b.open_issues_count - a.open_issues_count;
+    case "size":
+      return b.size - a.size;
+    case "created":
+      return new Date(b.created_at) - new Date(a.created_at);
+    case "name":
+      return a.name.localeCompare(b.name);
+    case "updated":
+    default:
+      return new Date(b.updated_at) - new Date(a.updated_at);
+  }
+});
+
+// Most recently pushed repos, busiest first when pushed the same day
+export const getMostActiveRepos = (repos, limit = 8) => repos
+  .filter(repo => !repo.archived)
+  .sort((a, b) =>
+    new Date(b.pushed_at).setHours(0, 0, 0, 0) - new Date(a.pushed_at).setHours(0, 0, 0, 0)
+    || b.open_issues_count - a.open_issues_count
+    || b.stargazers_count - a.stargazers_count)
+  .slice(0, limit);
+
+// Counters shown in the Stats tab and the printable report
+export const getActivityCounters = (repos) => {
+  const monthAgo = new Date();
+  monthAgo.setMonth(monthAgo.getMonth() - 1);
+  return [
+    { label: "Recently Updated", value: repos.filter(r => new Date(r.updated_at) > monthAgo).length },
+    { label: "Starred Repositories", value: repos.filter(r => r.stargazers_count > 0).length },
+    { label: "Forked Repositories", value: repos.filter(r => r.forks_count > 0).length },
+    { label: "Repositories with Issues", value: repos.filter(r => r.open_issues_count > 0).length }
+  ];
+};
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  DEFAULT_FILTERS,
+  readFilterParams,
+  writeFilterParams,
+  filterRepos,
+  sortRepos,
+  getMostActiveRepos,
+  getActivityCounters
+} from "./repoFilters";
+import repos from "../fixtures/repos.json";
+
+const names = (list) => list.map(repo => repo.name);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("filterRepos", () => {
+  it("returns every repository without a query or filters", () => {
+    expect(filterRepos(repos, "", DEFAULT_FILTERS)).toHaveLength(repos.length);
+  });
+
+  it("combines the query with the filter panel", () => {
+    const filters = { ...DEFAULT_FILTERS, forks: "hide" };
+    expect(names(filterRepos(repos, "lang:javascript", filters))).toEqual(["insights-cli"]);
+  });
+
+  it("applies status, language and topic filters", () => {
+    expect(names(filterRepos(repos, "", { ...DEFAULT_FILTERS, templates: "only" }))).toEqual(["project-template"]);
+    expect(filterRepos(repos, "", { ...DEFAULT_FILTERS, forks: "hide", archived: "hide" })).toHaveLength(6);
+    expect(names(filterRepos(repos, "", { ...DEFAULT_FILTERS, languages: ["Rust", "Shell"] })))
+      .toEqual(["rust-parser", "dotfiles"]);
+    expect(names(filterRepos(repos, "", { ...DEFAULT_FILTERS, topics: ["jupyter"] }))).toEqual(["data-notebooks"]);
+  });
+
+  it("applies the pushed-within and minimum star filters", () => {
+    expect(names(filterRepos(repos, "", { ...DEFAULT_FILTERS, pushedWithinDays: "30" })))
+      .toEqual(["insights-cli", "rust-parser", "data-notebooks"]);
+    expect(names(filterRepos(repos, "", { ...DEFAULT_FILTERS, minStars: "10" })))
+      .toEqual(["insights-cli", "rust-parser", "old-blog"]);
+  });
+
+  it("leaves the input untouched", () => {
+    const copy = [...repos];
+    filterRepos(repos, "stars:>0", DEFAULT_FILTERS);
+    expect(repos).toEqual(copy);
+  });
+});
+
+describe("sortRepos", () => {
+  it("sorts by the selected option", () => {
+    expect(names(sortRepos(repos, "stars")).slice(0, 3)).toEqual(["insights-cli", "rust-parser", "old-blog"]);
+    expect(names(sortRepos(repos, "updated")).slice(0, 3)).toEqual(["data-notebooks", "insights-cli", "rust-parser"]);
+    expect(names(sortRepos(repos, "created"))[0]).toBe("react");
+    expect(names(sortRepos(repos, "issues"))[0]).toBe("rust-parser");
+    expect(names(sortRepos(repos, "name"))).toEqual([
+      "data-notebooks", "dotfiles", "insights-cli", "notes", "old-blog", "project-template", "react", "rust-parser"
+    ]);
+  });
+
+  it("returns a new array", () => {
+    const sorted = sortRepos(repos, "name");
+    expect(sorted).not.toBe(repos);
+    expect(repos[0].name).toBe("insights-cli");
+  });
+});
+
+describe("filter URL params", () => {
+  it("round-trips through the query string", () => {
+    const filters = {
+      ...DEFAULT_FILTERS,
+      languages: ["Rust", "C++"],
+      topics: ["cli"],
+      forks: "hide",
+      templates: "only",
+      pushedWithinDays: "30",
+      minStars: "5"
+    };
+    const params = new URLSearchParams();
+    writeFilterParams(params, filters);
+    expect(readFilterParams(new URLSearchParams(params.toString()))).toEqual(filters);
+  });
+
+  it("writes nothing for the defaults and ignores unknown status values", () => {
+    const params = new URLSearchParams();
+    writeFilterParams(params);
+    expect(params.toString()).toBe("");
+    expect(readFilterParams(new URLSearchParams("forks=maybe")).forks).toBe("all");
+  });
+});
+
+describe("getMostActiveRepos", () => {
+  it("skips archived repos and orders by last push", () => {
+    expect(names(getMostActiveRepos(repos, 3))).toEqual(["data-notebooks", "insights-cli", "rust-parser"]);
+    expect(names(getMostActiveRepos(repos))).not.toContain("old-blog");
+  });
+});
+
+describe("getActivityCounters", () => {
+  it("counts recently updated, starred, forked and issue-bearing repos", () => {
+    expect(getActivityCounters(repos).map(counter => counter.value)).toEqual([3, 6, 4, 4]);
+  });
+});
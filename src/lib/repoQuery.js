@@ -0,0 +1,141 @@
+import { DAY_MS } from "./dates";
+
+// Qualifiers understood by the repository search box, e.g. `lang:rust stars:>50 -is:fork`
+const QUERY_QUALIFIERS = [
+  { key: "lang", hint: "lang:rust", type: "text" },
+  { key: "topic", hint: "topic:cli", type: "text" },
+  { key: "is", hint: "is:fork", type: "flag" },
+  { key: "stars", hint: "stars:>50", type: "number", field: "stargazers_count" },
+  { key: "forks", hint: "forks:>=10", type: "number", field: "forks_count" },
+  { key: "issues", hint: "issues:>0", type: "number", field: "open_issues_count" },
+  { key: "size", hint: "size:<1000", type: "number", field: "size" },
+  { key: "pushed", hint: "pushed:>2024-01-01", type: "date", field: "pushed_at" },
+  { key: "created", hint: "created:<2020-01-01", type: "date", field: "created_at" },
+  { key: "updated", hint: "updated:2024-01-01..2024-06-30", type: "date", field: "updated_at" }
+];
+const QUERY_FLAGS = { fork: "fork", archived: "archived", template: "is_template" };
+
+const parseQueryNumber = (text) => (text !== "" && Number.isFinite(Number(text)) ? Number(text) : null);
+const parseQueryDate = (text) => (/^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text)) ? Date.parse(text) : null);
+
+// Build a predicate for `50`, `>50`, `>=50`, `<50`, `<=50`, `10..50` or `*..50`.
+// Dates cover whole days, so `pushed:2024-01-01` matches anything pushed that day.
+const parseQueryRange = (raw, type) => {
+  const parse = type === "date" ? parseQueryDate : parseQueryNumber;
+  const span = type === "date" ? DAY_MS : 0;
+  const inclusiveEnd = (value) => (type === "date" ? (x) => x < value + span : (x) => x <= value);
+
+  if (raw.includes("..")) {
+    const [low, high] = raw.split("..");
+    const lowValue = low === "*" ? -Infinity : parse(low);
+    const highValue = high === "*" ? Infinity : parse(high);
+    if (lowValue === null || highValue === null) return null;
+    const belowHigh = inclusiveEnd(highValue);
+    return (x) => x >= lowValue && belowHigh(x);
+  }
+
+  const [, operator = "", text] = raw.match(/^(>=|<=|>|<)?(.*)$/);
+  const value = parse(text);
+  if (value === null) return null;
+  switch (operator) {
+    case ">": return type === "date" ? (x) => x >= value + span : (x) => x > value;
+    case ">=": return (x) => x >= value;
+    case "<": return (x) => x < value;
+    case "<=": return inclusiveEnd(value);
+    default: return type === "date" ? (x) => x >= value && x < value + span : (x) => x === value;
+  }
+};
+
+const tokenizeQuery = (text) => text.match(/-?(?:[^\s:"]+:)?"[^"]*"?|\S+/g) || [];
+const unquote = (value) => value.replace(/^"|"$/g, "");
+
+// Parse a search-box query into repo predicates; unknown or malformed qualifiers are
+// reported in `errors` and ignored, and terms without a qualifier match name or description
+export const parseRepoQuery = (text) => {
+  const predicates = [];
+  const errors = [];
+
+  tokenizeQuery(text).forEach(token => {
+    const negated = token.startsWith("-") && token.length > 1;
+    const body = negated ? token.slice(1) : token;
+    const match = body.match(/^([a-zA-Z]+):(.*)$/);
+    let predicate;
+
+    if (!match) {
+      const term = unquote(body).toLowerCase();
+      predicate = (repo) => repo.name.toLowerCase().includes(term)
+        || Boolean(repo.description?.toLowerCase().includes(term));
+    } else {
+      const key = match[1].toLowerCase();
+      const value = unquote(match[2]);
+      const qualifier = QUERY_QUALIFIERS.find(q => q.key === key);
+
+      if (!qualifier) {
+        errors.push({ token, message: `Unknown qualifier "${match[1]}:"` });
+        return;
+      }
+      if (!value) {
+        errors.push({ token, message: `"${key}:" needs a value, e.g. ${qualifier.hint}` });
+        return;
+      }
+
+      if (qualifier.type === "text") {
+        const wanted = value.toLowerCase();
+        predicate = key === "lang"
+          ? (repo) => repo.language?.toLowerCase() === wanted
+          : (repo) => Boolean(repo.topics?.some(topic => topic.toLowerCase() === wanted));
+      } else if (qualifier.type === "flag") {
+        const field = QUERY_FLAGS[value.toLowerCase()];
+        if (!field) {
+          errors.push({ token, message: `Unknown value "is:${value}"; use ${Object.keys(QUERY_FLAGS).map(flag => `is:${flag}`).join(", ")}` });
+          return;
+        }
+        predicate = (repo) => Boolean(repo[field]);
+      } else {
+        const inRange = parseQueryRange(value, qualifier.type);
+        if (!inRange) {
+          errors.push({
+            token,
+            message: `Invalid ${qualifier.type === "date" ? "date (use YYYY-MM-DD)" : "number"} in "${token}", e.g. ${qualifier.hint}`
+          });
+          return;
+        }
+        predicate = qualifier.type === "date"
+          ? (repo) => Boolean(repo[qualifier.field]) && inRange(Date.parse(repo[qualifier.field]))
+          : (repo) => inRange(repo[qualifier.field]);
+      }
+    }
+
+    predicates.push(negated ? (repo) => !predicate(repo) : predicate);
+  });
+
+  return { test: (repo) => predicates.every(predicate => predicate(repo)), errors };
+};
+
+// Completions for the token being typed: qualifier names, or values for lang:, topic: and is:
+export const getQuerySuggestions = (text, { languages, topics }) => {
+  const current = text.match(/\S*$/)[0];
+  if (!current) return [];
+
+  const negated = current.startsWith("-");
+  const body = negated ? current.slice(1) : current;
+  const prefix = negated ? "-" : "";
+  const colon = body.indexOf(":");
+
+  if (colon === -1) {
+    return QUERY_QUALIFIERS
+      .filter(q => q.key.startsWith(body.toLowerCase()))
+      .map(q => ({ label: `${prefix}${q.key}:`, hint: q.hint, completion: `${prefix}${q.key}:` }));
+  }
+
+  const key = body.slice(0, colon).toLowerCase();
+  const partial = unquote(body.slice(colon + 1)).toLowerCase();
+  const values = { lang: languages, topic: topics, is: Object.keys(QUERY_FLAGS) }[key] || [];
+  return values
+    .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+    .slice(0, 8)
+    .map(value => {
+      const quoted = /\s/.test(value) ? `"${value}"` : value;
+      return { label: `${prefix}${key}:${value}`, completion: `${prefix}${key}:${quoted} ` };
+    });
+};
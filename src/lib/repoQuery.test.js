@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { parseRepoQuery, getQuerySuggestions } from "./repoQuery";
+import repos from "../fixtures/repos.json";
+
+const matching = (text) => repos.filter(parseRepoQuery(text).test).map(repo => repo.name);
+
+describe("parseRepoQuery", () => {
+  it("matches free text against the name and description", () => {
+    expect(matching("parser")).toEqual(["rust-parser"]);
+    expect(matching("NOTEBOOKS")).toEqual(["data-notebooks"]);
+    expect(matching('"open datasets"')).toEqual(["data-notebooks"]);
+  });
+
+  it("filters by language and topic, ignoring case", () => {
+    expect(matching("lang:javascript")).toEqual(["insights-cli", "react"]);
+    expect(matching("topic:CLI")).toEqual(["insights-cli"]);
+  });
+
+  it("supports negated flags", () => {
+    expect(matching("lang:javascript -is:fork")).toEqual(["insights-cli"]);
+    expect(matching("is:archived")).toEqual(["old-blog"]);
+    expect(matching("is:template")).toEqual(["project-template"]);
+  });
+
+  it("compares numbers with operators and ranges", () => {
+    expect(matching("stars:>50")).toEqual(["insights-cli", "rust-parser"]);
+    expect(matching("stars:>=58")).toEqual(["insights-cli", "rust-parser"]);
+    expect(matching("stars:3..10")).toEqual(["dotfiles", "old-blog", "project-template"]);
+    expect(matching("forks:*..0 stars:1")).toEqual(["notes"]);
+  });
+
+  it("treats dates as whole days", () => {
+    expect(matching("pushed:2025-06-10")).toEqual(["insights-cli"]);
+    expect(matching("pushed:>2025-06-10")).toEqual(["data-notebooks"]);
+    expect(matching("created:<2019-01-01")).toEqual(["old-blog"]);
+  });
+
+  it("reports unknown and malformed qualifiers without applying them", () => {
+    const query = parseRepoQuery("owner:me stars:lots is:private lang:");
+    expect(query.errors.map(error => error.token)).toEqual(["owner:me", "stars:lots", "is:private", "lang:"]);
+    expect(repos.filter(query.test)).toHaveLength(repos.length);
+  });
+});
+
+describe("getQuerySuggestions", () => {
+  const options = { languages: ["Python", "Rust", "Visual Basic"], topics: ["cli"] };
+
+  it("completes qualifier names", () => {
+    expect(getQuerySuggestions("st", options).map(s => s.label)).toEqual(["stars:"]);
+    expect(getQuerySuggestions("-is", options).map(s => s.completion)).toEqual(["-is:", "-issues:"]);
+  });
+
+  it("completes values and quotes ones with spaces", () => {
+    expect(getQuerySuggestions("lang:r", options).map(s => s.completion)).toEqual(["lang:Rust "]);
+    expect(getQuerySuggestions("lang:vis", options).map(s => s.completion)).toEqual(['lang:"Visual Basic" ']);
+  });
+
+  it("offers nothing for a finished token or an empty query", () => {
+    expect(getQuerySuggestions("lang:rust", options)).toEqual([]);
+    expect(getQuerySuggestions("", options)).toEqual([]);
+    expect(getQuerySuggestions("stars ", options)).toEqual([]);
+  });
+});
@@ -0,0 +1,38 @@
+export const STAR_HISTORY_REPO_LIMIT = 8;
+export const STAR_HISTORY_DEFAULT_SELECTED = 5;
+
+// One row per month from the first star to now, holding each repo's running total
+// under repo0..repoN and their sum under "total"
+export const buildStarTimeline = (histories) => {
+  const firstStar = Math.min(...histories.map(history => history.points[0].time));
+  if (!Number.isFinite(firstStar)) return [];
+
+  const month = new Date(firstStar);
+  month.setDate(1);
+  month.setHours(0, 0, 0, 0);
+  const now = new Date();
+
+  const rows = [];
+  const cursors = histories.map(() => 0);
+  const counts = histories.map(() => 0);
+  while (month <= now) {
+    const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 1).getTime();
+    const row = { month: month.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }), total: 0 };
+    histories.forEach((history, i) => {
+      while (cursors[i] < history.points.length && history.points[cursors[i]].time < monthEnd) {
+        counts[i] = history.points[cursors[i]].stars;
+        cursors[i]++;
+      }
+      row[`repo${i}`] = counts[i];
+      row.total += counts[i];
+    });
+    rows.push(row);
+    month.setMonth(month.getMonth() + 1);
+  }
+  return rows;
+};
+
+export const getTopStarredRepos = (repos) => repos
+  .filter(repo => repo.stargazers_count > 0)
+  .sort((a, b) => b.stargazers_count - a.stargazers_count)
+  .slice(0, STAR_HISTORY_REPO_LIMIT);
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { STAR_HISTORY_REPO_LIMIT, buildStarTimeline, getTopStarredRepos } from "./starHistory";
+import repos from "../fixtures/repos.json";
+
+const now = new Date("2025-06-15T12:00:00Z");
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(now);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("buildStarTimeline", () => {
+  it("carries each repo's running total forward month by month", () => {
+    const histories = [
+      {
+        name: "insights-cli",
+        points: [
+          { time: Date.parse("2025-03-10T12:00:00Z"), stars: 1 },
+          { time: Date.parse("2025-03-20T12:00:00Z"), stars: 2 },
+          { time: Date.parse("2025-05-15T12:00:00Z"), stars: 3 },
+          { time: now.getTime(), stars: 3 }
+        ]
+      },
+      {
+        name: "rust-parser",
+        points: [
+          { time: Date.parse("2025-04-10T12:00:00Z"), stars: 1 },
+          { time: now.getTime(), stars: 1 }
+        ]
+      }
+    ];
+
+    expect(buildStarTimeline(histories)).toEqual([
+      { month: "Mar 25", repo0: 2, repo1: 0, total: 2 },
+      { month: "Apr 25", repo0: 2, repo1: 1, total: 3 },
+      { month: "May 25", repo0: 3, repo1: 1, total: 4 },
+      { month: "Jun 25", repo0: 3, repo1: 1, total: 4 }
+    ]);
+  });
+
+  it("is empty without histories", () => {
+    expect(buildStarTimeline([])).toEqual([]);
+  });
+});
+
+describe("getTopStarredRepos", () => {
+  it("keeps starred repos, most starred first", () => {
+    const top = getTopStarredRepos(repos);
+    expect(top.length).toBeLessThanOrEqual(STAR_HISTORY_REPO_LIMIT);
+    expect(top.map(repo => repo.name)).toEqual([
+      "insights-cli", "rust-parser", "old-blog", "project-template", "dotfiles", "notes"
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { sortRepos } from "./repoFilters";
+
+export const STARRED_TIMELINE_MONTHS = 24;
+const TOP_STARRED_TOPICS = 15;
+
+export const STARRED_SORT_OPTIONS = [
+  { value: "starred", label: "Recently Starred" },
+  { value: "stars", label: "Most Stars" },
+  { value: "updated", label: "Recently Updated" },
+  { value: "forks", label: "Most Forks" },
+  { value: "name", label: "Name" }
+];
+
+// "starred" orders by when the user starred the repo; anything else sorts like the Repositories tab
+export const sortStarred = (repos, sortOption) => sortOption === "starred"
+  ? [...repos].sort((a, b) => new Date(b.starred_at) - new Date(a.starred_at))
+  : sortRepos(repos, sortOption);
+
+// Most common topics across starred repos, most used first
+export const countTopics = (repos, limit = TOP_STARRED_TOPICS) => {
+  const counts = {};
+  repos.forEach(repo => (repo.topics || []).forEach(topic => {
+    counts[topic] = (counts[topic] || 0) + 1;
+  }));
+  return Object.entries(counts)
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+// Repositories starred in each of the last STARRED_TIMELINE_MONTHS months
+export const buildStarredTimeline = (repos) => {
+  const start = new Date();
+  start.setDate(1);
+  start.setHours(0, 0, 0, 0);
+  start.setMonth(start.getMonth() - (STARRED_TIMELINE_MONTHS - 1));
+  const months = Array.from({ length: STARRED_TIMELINE_MONTHS }, (_, i) => {
+    const month = new Date(start.getFullYear(), start.getMonth() + i, 1);
+    return {
+      key: `${month.getFullYear()}-${month.getMonth()}`,
+      month: month.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+      starred: 0
+    };
+  });
+
+  repos.forEach(repo => {
+    if (!repo.starred_at) return;
+    const d = new Date(repo.starred_at);
+    const bucket = months.find(m => m.key === `${d.getFullYear()}-${d.getMonth()}`);
+    if (bucket) bucket.starred++;
+  });
+  return months;
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { sortStarred, countTopics, buildStarredTimeline, STARRED_TIMELINE_MONTHS } from "./starred";
+
+const repos = [
+  { id: 1, name: "alpha", stargazers_count: 5, updated_at: "2025-06-01T00:00:00Z", starred_at: "2025-01-10T00:00:00Z", topics: ["cli", "rust"] },
+  { id: 2, name: "beta", stargazers_count: 50, updated_at: "2025-05-01T00:00:00Z", starred_at: "2025-06-02T00:00:00Z", topics: ["cli"] },
+  { id: 3, name: "gamma", stargazers_count: 20, updated_at: "2025-04-01T00:00:00Z", starred_at: "2025-06-09T00:00:00Z" },
+  { id: 4, name: "delta", stargazers_count: 1, updated_at: "2025-03-01T00:00:00Z", starred_at: "2021-02-01T00:00:00Z", topics: ["web"] }
+];
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("sortStarred", () => {
+  it("sorts by when the repository was starred", () => {
+    expect(sortStarred(repos, "starred").map(repo => repo.name)).toEqual(["gamma", "beta", "alpha", "delta"]);
+  });
+
+  it("falls back to the repository sorts", () => {
+    expect(sortStarred(repos, "stars").map(repo => repo.name)).toEqual(["beta", "gamma", "alpha", "delta"]);
+    expect(sortStarred(repos, "name").map(repo => repo.name)).toEqual(["alpha", "beta", "delta", "gamma"]);
+  });
+});
+
+describe("countTopics", () => {
+  it("ranks topics by how many starred repositories use them", () => {
+    expect(countTopics(repos)).toEqual([
+      { name: "cli", value: 2 },
+      { name: "rust", value: 1 },
+      { name: "web", value: 1 }
+    ]);
+    expect(countTopics(repos, 1)).toEqual([{ name: "cli", value: 2 }]);
+  });
+});
+
+describe("buildStarredTimeline", () => {
+  it("counts stars per month and leaves out older ones", () => {
+    const timeline = buildStarredTimeline(repos);
+    expect(timeline).toHaveLength(STARRED_TIMELINE_MONTHS);
+    expect(timeline[timeline.length - 1]).toMatchObject({ month: "Jun 25", starred: 2 });
+    expect(timeline.find(month => month.month === "Jan 25").starred).toBe(1);
+    expect(timeline.reduce((sum, month) => sum + month.starred, 0)).toBe(3);
+  });
+});
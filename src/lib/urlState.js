@@ -0,0 +1,34 @@
+import { readFilterParams, writeFilterParams } from "./repoFilters";
+
+export const DEFAULT_TAB = "overview";
+export const DEFAULT_SORT = "updated";
+const LOOKUP_PARAMS = { user: "user", org: "org", compare: "compare" };
+
+// The URL holds one lookup (?user=, ?org= or ?compare=a,b) plus the view on top of it
+export const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  const mode = params.has("org") ? "org" : params.has("compare") ? "compare" : "user";
+  return {
+    mode,
+    name: params.get(LOOKUP_PARAMS[mode]) || "",
+    tab: params.get("tab") || DEFAULT_TAB,
+    sort: params.get("sort") || DEFAULT_SORT,
+    filter: params.get("q") || "",
+    filters: readFilterParams(params),
+    repo: params.get("repo")
+  };
+};
+
+export const buildUrl = ({ mode, name, tab, sort, filter, filters, repo }) => {
+  const params = new URLSearchParams();
+  if (name) params.set(LOOKUP_PARAMS[mode], name);
+  if (mode !== "compare") {
+    if (tab && tab !== DEFAULT_TAB) params.set("tab", tab);
+    if (sort && sort !== DEFAULT_SORT) params.set("sort", sort);
+    if (filter) params.set("q", filter);
+    writeFilterParams(params, filters);
+    if (repo) params.set("repo", repo);
+  }
+  const query = params.toString();
+  return `${window.location.pathname}${query ? `?${query}` : ""}`;
+};
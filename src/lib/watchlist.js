@@ -0,0 +1,44 @@
+export const WATCHLIST_STORAGE_KEY = "github-insights-watchlist";
+const WATCHLIST_MAX_SNAPSHOTS = 90;
+// Views closer together than this replace the latest snapshot instead of adding one
+const WATCHLIST_SNAPSHOT_GAP = 60 * 60 * 1000;
+const WATCHLIST_TOP_REPOS = 3;
+
+// Entries saved before hosts could be switched all belong to the github.com profile, whose id
+// the caller passes in
+export const readWatchlist = (defaultProfileId) => {
+  try {
+    const watchlist = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY)) || [];
+    return watchlist.map(entry => ({ profileId: defaultProfileId, ...entry }));
+  } catch {
+    return [];
+  }
+};
+
+// The same login on two hosts is two different accounts
+export const isWatchEntry = (entry, profileId, login) =>
+  entry.profileId === profileId && entry.login.toLowerCase() === login.toLowerCase();
+
+export const takeWatchSnapshot = (profile, profileRepos) => ({
+  at: Date.now(),
+  followers: profile.followers ?? 0,
+  publicRepos: profile.public_repos,
+  totalStars: profileRepos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+  topRepos: [...profileRepos]
+    .sort((a, b) => b.stargazers_count - a.stargazers_count)
+    .slice(0, WATCHLIST_TOP_REPOS)
+    .map(repo => ({ name: repo.name, stars: repo.stargazers_count }))
+});
+
+// Record a snapshot for the profile if it is on the watchlist for the host with id profileId;
+// other entries are left alone
+export const addWatchSnapshot = (watchlist, profileId, profile, profileRepos) => watchlist.map(entry => {
+  if (!isWatchEntry(entry, profileId, profile.login)) return entry;
+
+  const snapshot = takeWatchSnapshot(profile, profileRepos);
+  const last = entry.snapshots.at(-1);
+  const snapshots = last && snapshot.at - last.at < WATCHLIST_SNAPSHOT_GAP
+    ? [...entry.snapshots.slice(0, -1), snapshot]
+    : [...entry.snapshots, snapshot];
+  return { ...entry, avatarUrl: profile.avatar_url, snapshots: snapshots.slice(-WATCHLIST_MAX_SNAPSHOTS) };
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { isWatchEntry, takeWatchSnapshot, addWatchSnapshot } from "./watchlist";
+import user from "../fixtures/user.json";
+import repos from "../fixtures/repos.json";
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2025-06-15T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("takeWatchSnapshot", () => {
+  it("records followers, stars and the top repositories", () => {
+    expect(takeWatchSnapshot(user, repos)).toEqual({
+      at: Date.parse("2025-06-15T12:00:00Z"),
+      followers: 342,
+      publicRepos: 8,
+      totalStars: 199,
+      topRepos: [
+        { name: "insights-cli", stars: 120 },
+        { name: "rust-parser", stars: 58 },
+        { name: "old-blog", stars: 10 }
+      ]
+    });
+  });
+});
+
+describe("addWatchSnapshot", () => {
+  const watchlist = [
+    { profileId: "github", login: "DEMO-USER", mode: "user", avatarUrl: "", snapshots: [] },
+    { profileId: "github", login: "someone-else", mode: "user", avatarUrl: "", snapshots: [] }
+  ];
+
+  it("only updates the matching entry", () => {
+    const updated = addWatchSnapshot(watchlist, "github", user, repos);
+    expect(updated[0].snapshots).toHaveLength(1);
+    expect(updated[0].avatarUrl).toBe(user.avatar_url);
+    expect(updated[1]).toBe(watchlist[1]);
+  });
+
+  it("keeps the same login on two hosts apart", () => {
+    const twoHosts = [
+      { profileId: "github", login: "demo-user", mode: "user", avatarUrl: "", snapshots: [] },
+      { profileId: "ghes", login: "demo-user", mode: "user", avatarUrl: "", snapshots: [] }
+    ];
+    const updated = addWatchSnapshot(twoHosts, "ghes", { ...user, followers: 5 }, repos);
+    expect(updated[0]).toBe(twoHosts[0]);
+    expect(updated[1].snapshots.map(snapshot => snapshot.followers)).toEqual([5]);
+
+    expect(isWatchEntry(twoHosts[0], "github", "Demo-User")).toBe(true);
+    expect(isWatchEntry(twoHosts[0], "ghes", "demo-user")).toBe(false);
+  });
+
+  it("replaces the latest snapshot for views within an hour", () => {
+    let list = addWatchSnapshot(watchlist, "github", user, repos);
+    vi.advanceTimersByTime(30 * 60 * 1000);
+    list = addWatchSnapshot(list, "github", { ...user, followers: 343 }, repos);
+    expect(list[0].snapshots.map(snapshot => snapshot.followers)).toEqual([343]);
+
+    vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+    list = addWatchSnapshot(list, "github", { ...user, followers: 345 }, repos);
+    expect(list[0].snapshots.map(snapshot => snapshot.followers)).toEqual([343, 345]);
+  });
+
+  it("keeps a bounded history", () => {
+    const old = Array.from({ length: 90 }, (_, i) => ({ at: i, followers: i }));
+    const [entry] = addWatchSnapshot([{ ...watchlist[0], snapshots: old }], "github", user, repos);
+    expect(entry.snapshots).toHaveLength(90);
+    expect(entry.snapshots[0].at).toBe(1);
+    expect(entry.snapshots.at(-1).followers).toBe(342);
+  });
+});
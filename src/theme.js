@@ -0,0 +1,78 @@
+import { OTHER_LANGUAGE, OTHER_LANGUAGE_COLOR } from "./lib/languages";
+
+// Language colors
+export const languageColors = {
+  JavaScript: "#f1e05a",
+  TypeScript: "#3178c6",
+  Python: "#3572A5",
+  Java: "#b07219",
+  "C++": "#f34b7d",
+  HTML: "#e34c26",
+  CSS: "#563d7c",
+  Ruby: "#701516",
+  Go: "#00ADD8",
+  PHP: "#4F5D95",
+  C: "#555555",
+  Swift: "#ffac45",
+  Kotlin: "#A97BFF",
+  Rust: "#dea584",
+  Dart: "#00B4AB"
+};
+
+// Network graph node colors by kind
+export const networkColors = {
+  center: "#8b5cf6",
+  contributor: "#a855f7",
+  mutual: "#10b981",
+  follower: "#3b82f6",
+  following: "#f59e0b",
+  extended: "#6b7280"
+};
+
+// Theme colors
+export const theme = {
+  dark: {
+    background: "bg-purple-950",
+    cardBg: "bg-purple-900",
+    secondaryBg: "bg-purple-800",
+    accent: "bg-purple-600",
+    accentHover: "bg-purple-500",
+    text: "text-purple-50",
+    textSecondary: "text-purple-300",
+    border: "border-purple-800",
+    chartGrid: "#4B2D83",
+    chartLine: "#A78BFA",
+    chartLineSecondary: "#F0ABFC",
+    heatmap: ["#3B2160", "#5B21B6", "#7C3AED", "#A78BFA", "#DDD6FE"]
+  },
+  light: {
+    background: "bg-purple-50",
+    cardBg: "bg-white",
+    secondaryBg: "bg-purple-100",
+    accent: "bg-purple-500",
+    accentHover: "bg-purple-400",
+    text: "text-purple-900",
+    textSecondary: "text-purple-700",
+    border: "border-purple-200",
+    chartGrid: "#E9D5FF",
+    chartLine: "#8B5CF6",
+    chartLineSecondary: "#D946EF",
+    heatmap: ["#F3E8FF", "#D8B4FE", "#A855F7", "#7E22CE", "#581C87"]
+  }
+};
+
+// One color per compared user or charted repository
+export const SERIES_COLORS = ["#A78BFA", "#F472B6", "#34D399", "#FBBF24", "#60A5FA", "#F87171", "#2DD4BF", "#FB923C"];
+
+export const getTooltipStyle = (darkMode) => ({
+  backgroundColor: darkMode ? '#2D1A45' : '#FFFFFF',
+  border: darkMode ? '1px solid #4C1D95' : '1px solid #E9D5FF',
+  color: darkMode ? '#F3F4F6' : '#1F2937'
+});
+
+export const withLanguageColors = (stats) => stats.map(lang => ({
+  ...lang,
+  color: lang.name === OTHER_LANGUAGE
+    ? OTHER_LANGUAGE_COLOR
+    : languageColors[lang.name] || "#" + Math.floor(Math.random()*16777215).toString(16)
+}));